@@ -15,6 +15,40 @@ const CONFIG = {
     cameraFar: 1000,
     initialCameraPosition: new THREE.Vector3(0, 2, 5),
     autoRotateSpeed: 0.5,
+    cameraTransitionDuration: 1000,
+    tourDwellTime: 8,
+    maxNarrationAudioSize: 1024 * 1024,
+    narrationStorageKey: 'parthenon-viewer:narration',
+    quizHitTolerance: 0.04,
+    storageKeyPrefix: 'parthenon-viewer:annotations:',
+    tourStorageKeyPrefix: 'parthenon-viewer:tours:',
+    autoSaveDelay: 500,
+    annotationSchemaVersion: 2,
+    historyLimit: 100,
+    maxImageSize: 800,
+    maxTitleLength: 200,
+    maxDescriptionLength: 20000,
+    maxAuthorLength: 80,
+    maxCommentLength: 5000,
+    authorStorageKey: 'parthenon-viewer:author',
+    lassoSpacing: 0.01,
+    polygonCloseDistance: 12,
+    markerDragThreshold: 5,
+    occlusionCheckInterval: 150,
+    clusterRadius: 32,
+    defaultCategory: 'general',
+    defaultLanguage: 'en',
+    languages: {
+        en: 'English',
+        el: 'Ελληνικά'
+    },
+    languageStorageKey: 'parthenon-viewer:language',
+    annotationCategories: {
+        general: { label: 'General', color: 0xC9A227, icon: '●' },
+        iconography: { label: 'Iconography', color: 0x5DADE2, icon: '👁' },
+        condition: { label: 'Condition', color: 0xE57373, icon: '⚠' },
+        technique: { label: 'Carving Technique', color: 0x81C784, icon: '⚒' }
+    },
     lightingPresets: {
         neutral: { ambient: 0.5, directional: 1.0, exposure: 1.0, color: 0xffffff },
         warm: { ambient: 0.4, directional: 1.2, exposure: 1.1, color: 0xfff5e6 },
@@ -27,6 +61,9 @@ const CONFIG = {
 // Start empty - users add their own annotations on the actual geometry
 const DEFAULT_ANNOTATIONS = [];
 
+// Annotations without a stored surface normal (older saves) point straight up
+const SURFACE_UP = new THREE.Vector3(0, 1, 0);
+
 // Application State
 const state = {
     scene: null,
@@ -40,17 +77,57 @@ const state = {
     annotations: [...DEFAULT_ANNOTATIONS],
     tourIndex: -1,
     isTourActive: false,
+    tours: [],
+    selectedTourIndex: -1,
+    tourStopIndex: -1,
+    tourPath: [],
+    isEditingTourStop: false,
+    editingTourStopIndex: null,
+    pendingTourStopViewpoint: null,
+    isTourPlaying: false,
+    tourAdvanceTimer: null,
+    cameraAnimationId: 0,
+    narration: { muted: false, voice: '', rate: 1 },
+    narrationSource: null,
+    advanceAfterNarration: false,
+    quiz: null,
+    quizReveal: null,
     isMeasuring: false,
     measurePoints: [],
     measureMarkers: [],
     measureLine: null,
     isAddingAnnotation: false,
+    editingAnnotationIndex: null,
     pendingAnnotationPosition: null,
+    pendingAnnotationNormal: null,
+    pendingAnnotationAnchor: null,
+    pendingAnnotationImages: [],
+    pendingAnnotationViewpoint: null,
+    pendingAnnotationRegion: null,
+    pendingAnnotationContent: {},
+    pendingAnnotationLanguage: 'en',
+    language: 'en',
+    annotationShape: 'point',
+    regionDraft: null,
+    regionOverlays: [],
+    hiddenCategories: new Set(),
+    searchQuery: '',
     previewMarker: null,
     placedMarker: null,
     annotationMarkers: [],
+    markerDrag: null,
+    suppressNextClick: false,
+    saveTimer: null,
+    undoStack: [],
+    redoStack: [],
     lights: {},
     raycaster: new THREE.Raycaster(),
+    occlusionRaycaster: new THREE.Raycaster(),
+    cameraPathRaycaster: new THREE.Raycaster(),
+    occlusionDirty: true,
+    lastOcclusionCheck: 0,
+    lastOcclusionPose: '',
+    expandedCluster: null,
     mouse: new THREE.Vector2()
 };
 
@@ -58,6 +135,10 @@ const state = {
 // INITIALIZATION
 // ============================================
 function init() {
+    setupCategoryControls();
+    setupLanguageControls();
+    setupTourControls();
+    setupNarrationControls();
     setupScene();
     setupCamera();
     setupRenderer();
@@ -112,6 +193,11 @@ function setupControls() {
     state.controls.minDistance = 1;
     state.controls.maxDistance = 20;
     state.controls.target.set(0, 0.5, 0);
+    
+    // Taking hold of the camera pauses an autoplaying tour
+    state.controls.addEventListener('start', () => {
+        if (state.isTourPlaying) pauseTour();
+    });
 }
 
 function setupLights() {
@@ -187,6 +273,9 @@ function onModelLoaded(gltf) {
     
     state.scene.add(state.model);
     
+    // Annotation anchors are resolved through the model's world transform
+    state.model.updateMatrixWorld(true);
+    
     // Adjust camera to fit model
     const maxDim = Math.max(size.x, size.y, size.z);
     const cameraDistance = maxDim * 2;
@@ -202,10 +291,21 @@ function onModelLoaded(gltf) {
     const loadingScreen = document.getElementById('loading-screen');
     loadingScreen.classList.add('hidden');
     
-    // Initialize annotations
+    // Restore annotations saved for this model, then initialize them
+    state.annotations = loadSavedAnnotations();
+    state.tours = loadSavedTours(state.annotations);
+    updateTourPanel();
     updateAnnotationList();
     updateAnnotationLabels();
+    update3DAnnotationMarkers();
     updateTourProgress();
+    setSaveStatus('saved');
+    
+    // Imported coordinates are resolved against the model, so wait for it
+    document.getElementById('btn-import-annotations').disabled = false;
+    
+    // Open at the view a shared link points to, now that its annotations exist
+    restoreViewFromHash();
     
     console.log('Model loaded successfully');
 }
@@ -249,9 +349,6 @@ function setLightingPreset(preset) {
     document.querySelectorAll('.preset-btn').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.preset === preset);
     });
-    
-    // Update exposure slider
-    document.getElementById('exposure-slider').value = settings.exposure;
 }
 
 function setExposure(value) {
@@ -265,7 +362,11 @@ function updateAnnotationList() {
     const list = document.getElementById('annotation-list');
     const countEl = document.getElementById('annotation-count');
     
-    countEl.textContent = `(${state.annotations.length})`;
+    const matchCount = state.annotations.filter(matchesSearch).length;
+    countEl.textContent = state.searchQuery
+        ? `(${matchCount} of ${state.annotations.length})`
+        : `(${state.annotations.length})`;
+    updateLayerPanel();
     
     if (state.annotations.length === 0) {
         list.innerHTML = '<p class="no-annotations">Click "Annotate" then click on the model to add annotations.</p>';
@@ -274,24 +375,45 @@ function updateAnnotationList() {
     
     list.innerHTML = '';
     state.annotations.forEach((annotation, index) => {
+        if (!isAnnotationVisible(annotation) || !matchesSearch(annotation)) return;
+        
+        const category = getAnnotationCategory(annotation);
+        const title = getAnnotationText(annotation, 'title');
         const card = document.createElement('div');
         card.className = `annotation-card ${state.tourIndex === index ? 'active' : ''}`;
+        card.dataset.index = index;
+        card.draggable = true;
+        card.tabIndex = 0;
+        card.title = 'Drag or press Alt+Arrow keys to reorder';
         card.innerHTML = `
             <div class="annotation-card-header">
-                <div class="annotation-card-number">${index + 1}</div>
-                <div class="annotation-card-title">${annotation.title}</div>
+                <div class="annotation-card-number" style="background: ${getCategoryCSSColor(category)}">${index + 1}</div>
+                <span class="annotation-card-category" title="${escapeHTML(category.label)}">${category.icon}</span>
+                ${annotation.region ? '<span class="annotation-card-type" title="Region annotation">⬠</span>' : ''}
+                <div class="annotation-card-title" title="${escapeHTML(title)}">${escapeHTML(title)}</div>
+                ${annotation.comments.length ? `<span class="annotation-card-comments" title="${annotation.comments.length} comment(s)">💬 ${annotation.comments.length}</span>` : ''}
+                <button class="annotation-edit" title="Edit annotation">✎</button>
                 <button class="annotation-delete" title="Delete annotation">×</button>
             </div>
-            <div class="annotation-card-description">${annotation.description}</div>
+            <div class="annotation-card-description">${renderMarkdown(getAnnotationText(annotation, 'description'), annotation.images)}</div>
         `;
         
         // Click on card to focus
         card.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('annotation-delete')) {
+            if (!e.target.closest('button, a')) {
                 focusAnnotation(index);
             }
         });
         
+        setupCardReordering(card, index);
+        
+        // Click on pencil to edit
+        const editBtn = card.querySelector('.annotation-edit');
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            editAnnotation(index);
+        });
+        
         // Click on X to delete
         const deleteBtn = card.querySelector('.annotation-delete');
         deleteBtn.addEventListener('click', (e) => {
@@ -299,61 +421,184 @@ function updateAnnotationList() {
             deleteAnnotation(index);
         });
         
+        highlightSearchMatches(card);
         list.appendChild(card);
     });
+    
+    if (!list.children.length) {
+        list.innerHTML = state.searchQuery
+            ? '<p class="no-annotations">No annotations match your search.</p>'
+            : '<p class="no-annotations">All annotations are in hidden layers.</p>';
+    }
+}
+
+function setupCardReordering(card, index) {
+    card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(index));
+        card.classList.add('dragging');
+    });
+    
+    card.addEventListener('dragend', () => {
+        card.classList.remove('dragging');
+    });
+    
+    card.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        card.classList.add('drag-over');
+    });
+    
+    card.addEventListener('dragleave', () => {
+        card.classList.remove('drag-over');
+    });
+    
+    card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        card.classList.remove('drag-over');
+        const fromIndex = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (!Number.isNaN(fromIndex)) moveAnnotation(fromIndex, index);
+    });
+    
+    card.addEventListener('keydown', (e) => {
+        if (e.target !== card) return;
+        
+        if (e.key === 'Enter') {
+            focusAnnotation(index);
+            return;
+        }
+        if (!e.altKey) return;
+        
+        const offsets = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+        if (offsets[e.key] === undefined) return;
+        
+        // Keep the tour arrow-key shortcuts from also firing
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // Step over annotations in hidden layers so every keypress visibly moves the card
+        const visibleIndices = getVisibleAnnotationIndices();
+        const target = visibleIndices[visibleIndices.indexOf(index) + offsets[e.key]];
+        if (target !== undefined) moveAnnotation(index, target);
+    });
+}
+
+function moveAnnotation(fromIndex, toIndex) {
+    if (fromIndex === toIndex || !state.annotations[fromIndex]) return;
+    if (toIndex < 0 || toIndex >= state.annotations.length) return;
+    
+    // Indices shift under an open editor, so close it first
+    if (state.editingAnnotationIndex !== null) cancelAnnotation();
+    
+    recordHistory('Reorder annotations');
+    
+    const [moved] = state.annotations.splice(fromIndex, 1);
+    state.annotations.splice(toIndex, 0, moved);
+    
+    // Renumber so ids, dots and tour order all follow the new sequence
+    state.annotations.forEach((annotation, i) => {
+        annotation.id = i + 1;
+    });
+    
+    // Keep the selected annotation selected at its new position
+    const remap = index => {
+        if (index === fromIndex) return toIndex;
+        if (fromIndex < index && toIndex >= index) return index - 1;
+        if (fromIndex > index && toIndex <= index) return index + 1;
+        return index;
+    };
+    state.tourIndex = remap(state.tourIndex);
+    if (!getSelectedTour()) remapTourPath(remap);
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    update3DAnnotationMarkers();
+    updateTourProgress();
+    scheduleAnnotationSave();
+    
+    // Return keyboard focus to the moved card so repeated moves keep working
+    const movedCard = document.querySelector(`#annotation-list [data-index="${toIndex}"]`);
+    if (movedCard) movedCard.focus();
 }
 
 function deleteAnnotation(index) {
+    // Close the editor if it is open on the annotation being removed
+    if (state.editingAnnotationIndex !== null) cancelAnnotation();
+    
+    recordHistory('Delete annotation');
+    
     // Remove annotation from array
     state.annotations.splice(index, 1);
     
+    // Later annotations move up one place; the deleted one maps to -1
+    const remap = current => (current === index ? -1 : current > index ? current - 1 : current);
+    const wasShown = state.tourIndex === index;
+    state.tourIndex = remap(state.tourIndex);
+    if (!getSelectedTour()) remapTourPath(remap);
+    
     // Renumber remaining annotations
     state.annotations.forEach((annotation, i) => {
         annotation.id = i + 1;
     });
     
-    // Reset tour index if needed
-    if (state.tourIndex >= state.annotations.length) {
-        state.tourIndex = state.annotations.length - 1;
-    }
-    if (state.annotations.length === 0) {
-        state.tourIndex = -1;
-        document.getElementById('info-panel').classList.add('hidden');
-    }
-    
     // Update all UI
     updateAnnotationList();
     updateAnnotationLabels();
     update3DAnnotationMarkers();
     updateTourProgress();
+    scheduleAnnotationSave();
+    
+    // An annotation tour moves on from a deleted stop; otherwise its panel closes
+    if (!wasShown) return;
+    const visibleIndices = getVisibleAnnotationIndices();
+    const next = visibleIndices.find(i => i >= index) ?? visibleIndices.reverse().find(i => i < index);
+    if (state.isTourActive && !getSelectedTour() && next !== undefined) {
+        focusAnnotation(next);
+    } else if (state.isTourActive && !getSelectedTour()) {
+        endTour();
+    } else {
+        document.getElementById('info-panel').classList.add('hidden');
+    }
 }
 
 function updateAnnotationLabels() {
     const container = document.getElementById('annotation-labels');
+    const highlighted = getHighlightedAnnotations();
     container.innerHTML = '';
     
     state.annotations.forEach((annotation, index) => {
+        if (!isAnnotationVisible(annotation)) return;
+        
         const label = document.createElement('div');
-        label.className = 'annotation-label';
+        label.className = `annotation-label ${matchesSearch(annotation) ? '' : 'dimmed'} ${highlighted.includes(annotation) ? 'highlighted' : ''}`;
         label.dataset.index = index;
         label.innerHTML = `
-            <div class="annotation-dot ${state.tourIndex === index ? 'active' : ''}">${index + 1}</div>
+            <div class="annotation-dot ${state.tourIndex === index ? 'active' : ''}" style="background: ${getCategoryCSSColor(getAnnotationCategory(annotation))}">${index + 1}</div>
         `;
         label.addEventListener('click', () => focusAnnotation(index));
         container.appendChild(label);
     });
+    
+    // New label elements need their occlusion state worked out again
+    state.occlusionDirty = true;
+    state.expandedCluster = null;
 }
 
 function updateAnnotationPositions() {
     const container = document.getElementById('annotation-labels');
     const labels = container.querySelectorAll('.annotation-label');
     
-    labels.forEach((label, index) => {
+    const rect = container.getBoundingClientRect();
+    const placed = [];
+    
+    labels.forEach((label) => {
+        const index = Number(label.dataset.index);
         const annotation = state.annotations[index];
         if (!annotation) return;
         
-        // Project 3D position to 2D screen coordinates
-        const pos = annotation.position.clone();
+        // Project 3D position to 2D screen coordinates (following a marker being dragged)
+        const drag = state.markerDrag;
+        const pos = (drag && drag.index === index && drag.position ? drag.position : annotation.position).clone();
         pos.project(state.camera);
         
         // Check if annotation is in front of camera
@@ -364,52 +609,127 @@ function updateAnnotationPositions() {
         
         label.style.display = 'block';
         
-        const rect = container.getBoundingClientRect();
         const x = (pos.x * 0.5 + 0.5) * rect.width;
         const y = (-pos.y * 0.5 + 0.5) * rect.height;
         
         label.style.left = `${x}px`;
         label.style.top = `${y}px`;
+        placed.push({ label, index, x, y });
+    });
+    
+    updateLabelClusters(placed);
+}
+
+function getCameraPoseKey() {
+    return [...state.camera.position.toArray(), ...state.camera.quaternion.toArray()]
+        .map(n => n.toFixed(4))
+        .join(',');
+}
+
+function isAnnotationOccluded(annotation) {
+    const cameraPosition = state.camera.position;
+    const distance = cameraPosition.distanceTo(annotation.position);
+    const direction = annotation.position.clone().sub(cameraPosition).normalize();
+    
+    // Stop just short of the annotated point so the surface it sits on does not count
+    state.occlusionRaycaster.set(cameraPosition, direction);
+    state.occlusionRaycaster.far = distance - Math.max(0.02, distance * 0.01);
+    
+    return state.occlusionRaycaster.intersectObject(state.model, true).length > 0;
+}
+
+function updateLabelOcclusion() {
+    if (!state.model) return;
+    
+    // Raycasting against the full mesh is costly, so only re-check when the
+    // camera has moved or labels changed, and at a limited rate
+    const pose = getCameraPoseKey();
+    if (!state.occlusionDirty && pose === state.lastOcclusionPose) return;
+    
+    const now = performance.now();
+    if (now - state.lastOcclusionCheck < CONFIG.occlusionCheckInterval) return;
+    
+    state.lastOcclusionCheck = now;
+    state.lastOcclusionPose = pose;
+    state.occlusionDirty = false;
+    
+    document.querySelectorAll('#annotation-labels .annotation-label').forEach(label => {
+        const annotation = state.annotations[Number(label.dataset.index)];
+        if (!annotation) return;
+        label.classList.toggle('occluded', isAnnotationOccluded(annotation));
     });
 }
 
 function focusAnnotation(index) {
     const annotation = state.annotations[index];
-    if (!annotation) return;
+    // Flying to an annotation would give away quiz answers
+    if (!annotation || state.quiz) return;
     
     state.tourIndex = index;
     
     // Show info panel
-    document.getElementById('info-title').textContent = annotation.title;
-    document.getElementById('info-description').textContent = annotation.description;
-    document.getElementById('info-panel').classList.remove('hidden');
+    showAnnotationInfo(annotation);
     
-    // Animate camera to look at annotation
-    const targetPosition = annotation.position.clone();
-    const cameraOffset = new THREE.Vector3(0.5, 0.3, 1.5);
-    const newCameraPos = targetPosition.clone().add(cameraOffset);
+    // Animate camera to the saved viewpoint, or look at the annotation from a fixed offset
+    if (annotation.viewpoint) {
+        const { position, target, fov } = annotation.viewpoint;
+        animateCamera(position.clone(), target.clone(), CONFIG.cameraTransitionDuration, fov);
+    } else {
+        const targetPosition = annotation.position.clone();
+        const cameraOffset = new THREE.Vector3(0.5, 0.3, 1.5);
+        const newCameraPos = targetPosition.clone().add(cameraOffset);
+        
+        // Smooth camera transition
+        animateCamera(newCameraPos, targetPosition, CONFIG.cameraTransitionDuration, CONFIG.cameraFOV);
+    }
     
-    // Smooth camera transition
-    animateCamera(newCameraPos, targetPosition);
+    if (state.isTourActive && !getSelectedTour()) {
+        recordTourPath(index);
+    }
     
     // Update UI - highlight active card in footer
+    if (state.isTourActive) {
+        narrate(`${getAnnotationText(annotation, 'title')}. ${getPlainText(getAnnotationText(annotation, 'description'), annotation.images)}`);
+    }
+    
     updateAnnotationList();
     updateAnnotationLabels();
     updateTourProgress();
+    scheduleTourAdvance();
 }
 
-function animateCamera(newPosition, newTarget, duration = 1000) {
+function showAnnotationInfo(annotation) {
+    document.getElementById('info-title').textContent = getAnnotationText(annotation, 'title');
+    document.getElementById('info-description').innerHTML = renderMarkdown(getAnnotationText(annotation, 'description'), annotation.images);
+    renderAnnotationComments(annotation);
+    document.getElementById('info-comments').classList.remove('hidden');
+    document.getElementById('info-branches').classList.add('hidden');
+    document.getElementById('info-panel').classList.remove('hidden');
+}
+
+function animateCamera(newPosition, newTarget, duration = CONFIG.cameraTransitionDuration, newFov = state.camera.fov) {
     const startPosition = state.camera.position.clone();
     const startTarget = state.controls.target.clone();
+    const startFov = state.camera.fov;
     const startTime = performance.now();
+    const path = getCameraPath(startPosition, newPosition);
+    
+    // A newer move takes over from this one instead of fighting it frame by frame
+    const animationId = ++state.cameraAnimationId;
     
     function update() {
+        if (animationId !== state.cameraAnimationId) return;
+        
         const elapsed = performance.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
         const eased = easeOutCubic(progress);
         
-        state.camera.position.lerpVectors(startPosition, newPosition, eased);
+        path.getPoint(eased, state.camera.position);
         state.controls.target.lerpVectors(startTarget, newTarget, eased);
+        if (newFov !== startFov) {
+            state.camera.fov = THREE.MathUtils.lerp(startFov, newFov, eased);
+            state.camera.updateProjectionMatrix();
+        }
         state.controls.update();
         
         if (progress < 1) {
@@ -424,326 +744,3601 @@ function easeOutCubic(t) {
     return 1 - Math.pow(1 - t, 3);
 }
 
+// Camera moves follow a Catmull-Rom curve. When the straight line between the
+// two positions would cut through the model, the curve bows out around the
+// model's bounding sphere instead.
+function getCameraPath(start, end) {
+    const midpoint = start.clone().lerp(end, 0.5);
+    const direction = end.clone().sub(start);
+    const distance = direction.length();
+    
+    if (state.model && distance > 1e-6) {
+        const raycaster = state.cameraPathRaycaster;
+        raycaster.set(start, direction.normalize());
+        raycaster.far = distance;
+        
+        if (raycaster.intersectObject(state.model, true).length > 0) {
+            // modelBoundingBox predates centering, so measure the model where it sits now
+            const sphere = new THREE.Box3().setFromObject(state.model).getBoundingSphere(new THREE.Sphere());
+            const offset = midpoint.clone().sub(sphere.center);
+            const along = offset.dot(direction);
+            
+            // Push out perpendicular to the move, preferring "up" when the move passes through the center
+            const outward = offset.addScaledVector(direction, -along);
+            if (outward.lengthSq() < 1e-6) {
+                outward.copy(state.camera.up).addScaledVector(direction, -state.camera.up.dot(direction));
+            }
+            if (outward.lengthSq() < 1e-6) {
+                outward.set(1, 0, 0).addScaledVector(direction, -direction.x);
+            }
+            
+            const radius = Math.max(sphere.radius * 1.2, start.distanceTo(sphere.center), end.distanceTo(sphere.center));
+            midpoint.copy(sphere.center)
+                .addScaledVector(direction, along)
+                .addScaledVector(outward.normalize(), radius);
+        }
+    }
+    
+    return new THREE.CatmullRomCurve3([start.clone(), midpoint, end.clone()], false, 'centripetal');
+}
+
 // ============================================
-// TOUR SYSTEM
+// LABEL CLUSTERING
 // ============================================
-function startTour() {
-    if (state.annotations.length === 0) {
-        alert('No annotations yet! Add some annotations first by clicking the "Annotate" button and clicking on the model.');
-        return;
+// Labels that land within CONFIG.clusterRadius pixels of each other are
+// replaced by a count bubble. Clicking it zooms toward the group, or, once
+// zoomed in as far as the controls allow, fans the labels out around it.
+function updateLabelClusters(placed) {
+    const container = document.getElementById('annotation-clusters');
+    const drag = state.markerDrag;
+    
+    // Any real camera move collapses an expanded cluster again
+    const expanded = state.expandedCluster;
+    if (expanded && state.camera.position.distanceTo(expanded.cameraPosition) > expanded.tolerance) {
+        state.expandedCluster = null;
     }
     
-    state.isTourActive = true;
-    state.tourIndex = 0;
-    focusAnnotation(0);
+    // The selected, dragged and occluded labels always stay on their own
+    const candidates = placed.filter(entry =>
+        entry.index !== state.tourIndex &&
+        !(drag && drag.index === entry.index) &&
+        !entry.label.classList.contains('occluded')
+    );
     
-    document.getElementById('btn-tour-start').innerHTML = `
-        <span class="icon">⏹</span>
-        <span>End Tour</span>
-    `;
+    if (state.expandedCluster) {
+        spreadExpandedCluster(candidates.filter(entry => state.expandedCluster.indices.has(entry.index)));
+    }
+    
+    const clusters = [];
+    candidates
+        .filter(entry => !(state.expandedCluster && state.expandedCluster.indices.has(entry.index)))
+        .forEach(entry => {
+            const cluster = clusters.find(c => Math.hypot(c.x - entry.x, c.y - entry.y) < CONFIG.clusterRadius);
+            if (cluster) {
+                cluster.members.push(entry);
+            } else {
+                clusters.push({ x: entry.x, y: entry.y, members: [entry] });
+            }
+        });
+    
+    const groups = clusters.filter(cluster => cluster.members.length > 1);
+    
+    // Reuse bubble elements between frames to avoid rebuilding the DOM
+    while (container.children.length < groups.length) {
+        const bubble = document.createElement('div');
+        bubble.className = 'annotation-cluster';
+        bubble.addEventListener('click', () => {
+            onClusterClick(bubble.dataset.indices.split(',').map(Number));
+        });
+        container.appendChild(bubble);
+    }
+    
+    Array.from(container.children).forEach((bubble, i) => {
+        const group = groups[i];
+        if (!group) {
+            bubble.style.display = 'none';
+            return;
+        }
+        
+        group.members.forEach(member => {
+            member.label.style.display = 'none';
+        });
+        
+        const x = group.members.reduce((sum, member) => sum + member.x, 0) / group.members.length;
+        const y = group.members.reduce((sum, member) => sum + member.y, 0) / group.members.length;
+        const numbers = group.members.map(member => member.index + 1).sort((a, b) => a - b);
+        
+        bubble.style.display = 'flex';
+        bubble.style.left = `${x}px`;
+        bubble.style.top = `${y}px`;
+        bubble.textContent = group.members.length;
+        bubble.title = `Annotations ${numbers.join(', ')}`;
+        bubble.dataset.indices = group.members.map(member => member.index).join(',');
+    });
 }
 
-function endTour() {
-    state.isTourActive = false;
-    state.tourIndex = -1;
-    document.getElementById('info-panel').classList.add('hidden');
-    updateTourProgress();
-    updateAnnotationLabels();
+function spreadExpandedCluster(members) {
+    if (members.length === 0) return;
     
-    document.getElementById('btn-tour-start').innerHTML = `
-        <span class="icon">🎓</span>
-        <span>Start Tour</span>
-    `;
+    const centerX = members.reduce((sum, member) => sum + member.x, 0) / members.length;
+    const centerY = members.reduce((sum, member) => sum + member.y, 0) / members.length;
+    const radius = Math.max(CONFIG.clusterRadius, members.length * 10);
+    
+    members.forEach((member, i) => {
+        const angle = (i / members.length) * Math.PI * 2 - Math.PI / 2;
+        member.label.style.left = `${centerX + Math.cos(angle) * radius}px`;
+        member.label.style.top = `${centerY + Math.sin(angle) * radius}px`;
+    });
 }
 
-function nextTourStop() {
-    if (state.tourIndex < state.annotations.length - 1) {
-        focusAnnotation(state.tourIndex + 1);
+function onClusterClick(indices) {
+    const center = indices
+        .reduce((sum, index) => sum.add(state.annotations[index].position), new THREE.Vector3())
+        .divideScalar(indices.length);
+    const distance = state.camera.position.distanceTo(center);
+    const zoomedDistance = distance * 0.5;
+    
+    // Too close to zoom further: fan the labels out instead
+    if (zoomedDistance < state.controls.minDistance) {
+        state.expandedCluster = {
+            indices: new Set(indices),
+            cameraPosition: state.camera.position.clone(),
+            tolerance: distance * 0.02
+        };
+        return;
     }
+    
+    const direction = state.camera.position.clone().sub(center).normalize();
+    animateCamera(center.clone().addScaledVector(direction, zoomedDistance), center);
 }
 
-function prevTourStop() {
-    if (state.tourIndex > 0) {
-        focusAnnotation(state.tourIndex - 1);
-    }
+// ============================================
+// CATEGORIES & LAYERS
+// ============================================
+function getAnnotationCategory(annotation) {
+    return CONFIG.annotationCategories[annotation.category] || CONFIG.annotationCategories[CONFIG.defaultCategory];
 }
 
-function updateTourProgress() {
-    const total = state.annotations.length;
-    const current = state.tourIndex >= 0 ? state.tourIndex + 1 : 0;
-    
-    document.getElementById('tour-progress').textContent = `${current} / ${total}`;
-    document.getElementById('btn-tour-prev').disabled = state.tourIndex <= 0;
-    document.getElementById('btn-tour-next').disabled = state.tourIndex >= total - 1 || state.tourIndex < 0;
+function getCategoryCSSColor(category) {
+    return `#${category.color.toString(16).padStart(6, '0')}`;
 }
 
-// ============================================
-// MEASUREMENT TOOL
-// ============================================
-function toggleMeasureMode() {
-    state.isMeasuring = !state.isMeasuring;
-    clearMeasurement();
-    
-    document.getElementById('btn-measure').classList.toggle('active', state.isMeasuring);
-    document.getElementById('measurement-display').classList.toggle('hidden', !state.isMeasuring);
+function isAnnotationVisible(annotation) {
+    return !state.hiddenCategories.has(annotation.category);
+}
+
+function getVisibleAnnotationIndices() {
+    return state.annotations
+        .map((annotation, index) => (isAnnotationVisible(annotation) ? index : -1))
+        .filter(index => index !== -1);
+}
+
+function setupCategoryControls() {
+    const select = document.getElementById('annotation-category');
+    const layerList = document.getElementById('layer-list');
     
-    if (state.isMeasuring) {
-        state.renderer.domElement.style.cursor = 'crosshair';
+    Object.entries(CONFIG.annotationCategories).forEach(([key, category]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${category.icon} ${category.label}`;
+        select.appendChild(option);
+        
+        const item = document.createElement('label');
+        item.className = 'layer-item';
+        item.innerHTML = `
+            <input type="checkbox" data-category="${key}" checked>
+            <span class="layer-swatch" style="background: ${getCategoryCSSColor(category)}">${category.icon}</span>
+            <span class="layer-name">${escapeHTML(category.label)}</span>
+            <span class="layer-count" data-category="${key}">0</span>
+        `;
+        item.querySelector('input').addEventListener('change', (e) => {
+            toggleCategoryLayer(key, e.target.checked);
+        });
+        layerList.appendChild(item);
+    });
+}
+
+function toggleCategoryLayer(key, isVisible) {
+    if (isVisible) {
+        state.hiddenCategories.delete(key);
     } else {
-        state.renderer.domElement.style.cursor = 'grab';
+        state.hiddenCategories.add(key);
+    }
+    
+    // Don't leave the info panel or tour on an annotation that was just hidden
+    const current = state.annotations[state.tourIndex];
+    if (current && !isAnnotationVisible(current)) {
+        const next = getVisibleAnnotationIndices().find(index => index > state.tourIndex);
+        if (state.isTourActive && next !== undefined) {
+            focusAnnotation(next);
+        } else if (state.isTourActive) {
+            endTour();
+        } else {
+            state.tourIndex = -1;
+            document.getElementById('info-panel').classList.add('hidden');
+        }
     }
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    update3DAnnotationMarkers();
+    updateTourProgress();
+    updateLayerPanel();
 }
 
-function clearMeasurement() {
-    state.measurePoints = [];
+function updateLayerPanel() {
+    document.querySelectorAll('#layer-list input[data-category]').forEach(input => {
+        input.checked = !state.hiddenCategories.has(input.dataset.category);
+    });
+    document.querySelectorAll('#layer-list .layer-count').forEach(countEl => {
+        const key = countEl.dataset.category;
+        countEl.textContent = state.annotations.filter(annotation => annotation.category === key).length;
+    });
+}
+
+// ============================================
+// LANGUAGES
+// ============================================
+function setupLanguageControls() {
+    const selects = [document.getElementById('language-select'), document.getElementById('annotation-language')];
     
-    // Remove markers
-    state.measureMarkers.forEach(marker => state.scene.remove(marker));
-    state.measureMarkers = [];
+    Object.entries(CONFIG.languages).forEach(([code, label]) => {
+        selects.forEach(select => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    });
     
-    // Remove line
-    if (state.measureLine) {
-        state.scene.remove(state.measureLine);
-        state.measureLine = null;
+    let saved = null;
+    try {
+        saved = localStorage.getItem(CONFIG.languageStorageKey);
+    } catch (error) {
+        console.error('Error loading language preference:', error);
     }
-    
-    document.getElementById('measurement-result').textContent = '';
+    state.language = CONFIG.languages[saved] ? saved : CONFIG.defaultLanguage;
+    selects[0].value = state.language;
+    document.documentElement.lang = state.language;
 }
 
-function addMeasurePoint(point) {
-    // Create marker sphere
-    const geometry = new THREE.SphereGeometry(0.02, 16, 16);
-    const material = new THREE.MeshBasicMaterial({ color: 0xC9A227 });
-    const marker = new THREE.Mesh(geometry, material);
-    marker.position.copy(point);
-    state.scene.add(marker);
-    state.measureMarkers.push(marker);
+function setLanguage(language) {
+    state.language = language;
+    document.documentElement.lang = language;
     
-    state.measurePoints.push(point.clone());
+    try {
+        localStorage.setItem(CONFIG.languageStorageKey, language);
+    } catch (error) {
+        console.error('Error saving language preference:', error);
+    }
     
-    if (state.measurePoints.length === 2) {
-        // Calculate and display distance
-        const distance = state.measurePoints[0].distanceTo(state.measurePoints[1]);
-        document.getElementById('measurement-result').textContent = 
-            `Distance: ${distance.toFixed(3)} units`;
-        
-        // Draw line between points
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints(state.measurePoints);
-        const lineMaterial = new THREE.LineBasicMaterial({ color: 0xC9A227, linewidth: 2 });
-        state.measureLine = new THREE.Line(lineGeometry, lineMaterial);
-        state.scene.add(state.measureLine);
+    // Search matches depend on the displayed language
+    updateAnnotationList();
+    updateAnnotationLabels();
+    applySearchDimming();
+    const annotation = state.annotations[state.tourIndex];
+    if (annotation && !document.getElementById('info-panel').classList.contains('hidden')) {
+        showAnnotationInfo(annotation);
     }
 }
 
+// Falls back to the default-language text when a translation is missing or blank
+function getAnnotationText(annotation, field, language = state.language) {
+    const translation = annotation.translations[language];
+    return (translation && translation[field]) || annotation[field];
+}
+
+function getAnnotationLanguages(annotation) {
+    return [CONFIG.defaultLanguage, ...Object.keys(annotation.translations)];
+}
+
+function deserializeTranslations(data) {
+    const translations = {};
+    Object.entries(data || {}).forEach(([language, text]) => {
+        if (!CONFIG.languages[language] || language === CONFIG.defaultLanguage || !text) return;
+        translations[language] = {
+            title: sanitizeAnnotationText(text.title, CONFIG.maxTitleLength),
+            description: sanitizeAnnotationText(text.description, CONFIG.maxDescriptionLength)
+        };
+    });
+    return translations;
+}
+
+function isValidTranslations(translations) {
+    return Boolean(translations) && typeof translations === 'object' && !Array.isArray(translations) &&
+        Object.values(translations).every(text =>
+            Boolean(text) &&
+            (text.title === undefined || typeof text.title === 'string') &&
+            (text.description === undefined || typeof text.description === 'string')
+        );
+}
+
+// The annotation modal keeps every language's draft so switching languages
+// while editing does not lose what was typed
+function stashPendingAnnotationContent() {
+    state.pendingAnnotationContent[state.pendingAnnotationLanguage] = {
+        title: sanitizeAnnotationText(document.getElementById('annotation-title').value, CONFIG.maxTitleLength),
+        description: sanitizeAnnotationText(document.getElementById('annotation-description').value, CONFIG.maxDescriptionLength)
+    };
+}
+
+function setPendingAnnotationLanguage(language) {
+    const content = state.pendingAnnotationContent[language] || { title: '', description: '' };
+    state.pendingAnnotationLanguage = language;
+    document.getElementById('annotation-language').value = language;
+    document.getElementById('annotation-title').value = content.title;
+    document.getElementById('annotation-description').value = content.description;
+}
+
 // ============================================
-// ADD ANNOTATION MODE
+// ANNOTATION SEARCH
 // ============================================
-function createAnnotationMarker(position, index, isPreview = false) {
-    // Create a 3D marker that hovers over the model surface
-    const group = new THREE.Group();
+function getSearchTerms() {
+    return state.searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function matchesSearch(annotation) {
+    const terms = getSearchTerms();
+    if (terms.length === 0) return true;
     
-    // Size multiplier for preview (make it bigger and more visible)
-    const scale = isPreview ? 1.5 : 1.0;
+    // Match what is displayed, not the markdown source behind it
+    const haystack = [
+        getAnnotationText(annotation, 'title'),
+        getPlainText(getAnnotationText(annotation, 'description'), annotation.images),
+        getAnnotationCategory(annotation).label
+    ].join(' ').toLowerCase();
     
-    // Main sphere
-    const sphereGeometry = new THREE.SphereGeometry(0.035 * scale, 32, 32);
-    const sphereMaterial = new THREE.MeshBasicMaterial({ 
-        color: isPreview ? 0x00ff00 : 0xC9A227,
-        transparent: true,
+    return terms.every(term => haystack.includes(term));
+}
+
+function setSearchQuery(query) {
+    state.searchQuery = query.trim();
+    document.getElementById('btn-clear-search').classList.toggle('hidden', !state.searchQuery);
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    applySearchDimming();
+}
+
+function clearSearch() {
+    document.getElementById('annotation-search').value = '';
+    setSearchQuery('');
+}
+
+function highlightSearchMatches(element) {
+    const terms = getSearchTerms();
+    if (terms.length === 0) return;
+    
+    // Work on text nodes so rendered markup (and escaping) stays intact
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('button')) textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(pattern);
+        if (parts.length === 1) return;
+        
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, i) => {
+            // split() with a capture group puts the matches at odd positions
+            if (i % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else if (part) {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+function applySearchDimming() {
+    const dimObject = (object, isDimmed) => {
+        object.traverse((child) => {
+            if (!child.material) return;
+            if (child.material.userData.baseOpacity === undefined) {
+                child.material.userData.baseOpacity = child.material.opacity;
+            }
+            child.material.transparent = true;
+            child.material.opacity = child.material.userData.baseOpacity * (isDimmed ? 0.25 : 1);
+        });
+    };
+    
+    state.annotationMarkers.forEach((marker, index) => {
+        dimObject(marker, !matchesSearch(state.annotations[index]));
+    });
+    state.regionOverlays.forEach(overlay => {
+        dimObject(overlay, !matchesSearch(state.annotations[overlay.userData.index]));
+    });
+}
+
+// ============================================
+// TOUR SYSTEM
+// ============================================
+function startTour(stopIndex = 0) {
+    const tour = getSelectedTour();
+    // Tour stops fly to the features a quiz asks about
+    if (state.quiz) return;
+    
+    if (tour) {
+        if (tour.stops.length === 0) {
+            alert(`"${tour.name}" has no stops yet. Frame a view and press "Add Stop" to build the tour.`);
+            return;
+        }
+        
+        state.isTourActive = true;
+        state.tourPath = [];
+        goToTourStop(stopIndex);
+    } else {
+        if (state.annotations.length === 0) {
+            alert('No annotations yet! Add some annotations first by clicking the "Annotate" button and clicking on the model.');
+            return;
+        }
+        
+        const visibleIndices = getVisibleAnnotationIndices();
+        if (visibleIndices.length === 0) {
+            alert('All annotations are in hidden layers. Turn on a layer to start the tour.');
+            return;
+        }
+        
+        state.isTourActive = true;
+        state.tourPath = [];
+        state.tourIndex = visibleIndices[0];
+        focusAnnotation(visibleIndices[0]);
+    }
+    
+    document.getElementById('btn-tour-start').innerHTML = `
+        <span class="icon">⏹</span>
+        <span>End Tour</span>
+    `;
+}
+
+function endTour() {
+    pauseTour();
+    stopNarration();
+    state.isTourActive = false;
+    state.tourIndex = -1;
+    state.tourStopIndex = -1;
+    state.tourPath = [];
+    document.getElementById('info-panel').classList.add('hidden');
+    updateTourProgress();
+    updateTourStopList();
+    updateAnnotationLabels();
+    
+    document.getElementById('btn-tour-start').innerHTML = `
+        <span class="icon">🎓</span>
+        <span>Start Tour</span>
+    `;
+}
+
+// The annotation tour only visits annotations in visible layers
+function nextTourStop() {
+    const tour = getSelectedTour();
+    if (tour) {
+        const next = getNextTourStop(tour, state.tourStopIndex);
+        if (state.isTourActive && next !== -1) goToTourStop(next);
+        return;
+    }
+    
+    const next = getVisibleAnnotationIndices().find(index => index > state.tourIndex);
+    if (next !== undefined) {
+        focusAnnotation(next);
+    }
+}
+
+// Back retraces the path actually taken, which after a branch or a jump
+// is not simply the stop before this one
+function getPreviousTourStop() {
+    const tour = getSelectedTour();
+    if (tour && !state.isTourActive) return -1;
+    
+    // Annotations since hidden by a layer toggle are skipped on the way back
+    const earlier = state.isTourActive ? state.tourPath.slice(0, -1).reverse() : [];
+    const visited = earlier.find(index => tour || isAnnotationVisible(state.annotations[index]));
+    if (visited !== undefined) return visited;
+    
+    // A tour started part-way through has no route behind it yet; without
+    // branches the list order is the route
+    if (tour) {
+        return isBranchingTour(tour) ? -1 : state.tourStopIndex - 1;
+    }
+    const previous = getVisibleAnnotationIndices().reverse().find(index => index < state.tourIndex);
+    return previous === undefined || state.tourIndex < 0 ? -1 : previous;
+}
+
+function prevTourStop() {
+    const previous = getPreviousTourStop();
+    if (previous === -1) return;
+    
+    // Drop the route back to and including the stop being returned to;
+    // showing it records it again
+    const returnTo = state.tourPath.lastIndexOf(previous, state.tourPath.length - 2);
+    state.tourPath = returnTo === -1 ? [] : state.tourPath.slice(0, returnTo);
+    
+    if (getSelectedTour()) {
+        goToTourStop(previous);
+    } else {
+        focusAnnotation(previous);
+    }
+}
+
+// Moving or removing stops (or, in the annotation tour, annotations) shifts
+// the indices in the route taken. Entries mapped to -1 are dropped, along
+// with any repeat their removal leaves behind.
+function remapTourPath(mapIndex) {
+    state.tourPath = state.tourPath
+        .map(mapIndex)
+        .filter(index => index !== -1)
+        .filter((index, i, path) => index !== path[i - 1]);
+}
+
+function recordTourPath(index) {
+    if (state.tourPath[state.tourPath.length - 1] !== index) {
+        state.tourPath.push(index);
+    }
+}
+
+function updateTourProgress() {
+    const tour = getSelectedTour();
+    if (tour) {
+        const progress = document.getElementById('tour-progress');
+        const stop = state.isTourActive ? state.tourStopIndex : -1;
+        const path = state.tourPath.map(index => index + 1);
+        
+        // Branching tours have no fixed order, so show the route taken so far
+        if (!isBranchingTour(tour)) {
+            progress.textContent = `${stop + 1} / ${tour.stops.length}`;
+        } else {
+            progress.textContent = path.length === 0
+                ? `${tour.stops.length} stops`
+                : (path.length > 4 ? ['…', ...path.slice(-4)] : path).join(' → ');
+        }
+        progress.title = state.tourPath.map(index => `${index + 1}. ${tour.stops[index].title}`).join('\n');
+        document.getElementById('btn-tour-prev').disabled = getPreviousTourStop() === -1;
+        document.getElementById('btn-tour-next').disabled = !hasNextTourStop();
+        return;
+    }
+    
+    const visibleIndices = getVisibleAnnotationIndices();
+    const total = visibleIndices.length;
+    const position = visibleIndices.indexOf(state.tourIndex);
+    const current = position >= 0 ? position + 1 : 0;
+    
+    document.getElementById('tour-progress').textContent = `${current} / ${total}`;
+    document.getElementById('tour-progress').title = '';
+    document.getElementById('btn-tour-prev').disabled = getPreviousTourStop() === -1;
+    document.getElementById('btn-tour-next').disabled = !hasNextTourStop();
+}
+
+function hasNextTourStop() {
+    const tour = getSelectedTour();
+    if (tour) {
+        return state.isTourActive && getNextTourStop(tour, state.tourStopIndex) !== -1;
+    }
+    return state.tourIndex >= 0 && getVisibleAnnotationIndices().some(index => index > state.tourIndex);
+}
+
+// ============================================
+// TOUR AUTOPLAY
+// ============================================
+// While playing, each stop is held for its dwell time (authored stops carry
+// their own; the annotation tour uses CONFIG.tourDwellTime) once the camera
+// has arrived, then the tour moves on. Playback stops at the last stop.
+function toggleTourPlayback() {
+    if (state.isTourPlaying) {
+        pauseTour();
+        return;
+    }
+    
+    if (!state.isTourActive) {
+        startTour();
+        if (!state.isTourActive) return;
+    }
+    
+    state.isTourPlaying = true;
+    updateTourPlayButton();
+    scheduleTourAdvance();
+}
+
+function pauseTour() {
+    state.isTourPlaying = false;
+    state.advanceAfterNarration = false;
+    clearTimeout(state.tourAdvanceTimer);
+    state.tourAdvanceTimer = null;
+    updateTourPlayButton();
+}
+
+function scheduleTourAdvance() {
+    clearTimeout(state.tourAdvanceTimer);
+    state.tourAdvanceTimer = null;
+    if (!state.isTourPlaying) return;
+    
+    const tour = getSelectedTour();
+    const stop = tour && tour.stops[state.tourStopIndex];
+    const dwell = stop ? stop.dwell : CONFIG.tourDwellTime;
+    
+    state.tourAdvanceTimer = setTimeout(advanceTour, CONFIG.cameraTransitionDuration + dwell * 1000);
+}
+
+function advanceTour() {
+    state.tourAdvanceTimer = null;
+    
+    // Let the narration finish before moving on
+    if (state.narrationSource) {
+        state.advanceAfterNarration = true;
+        return;
+    }
+    
+    if (hasNextTourStop()) {
+        nextTourStop();
+    } else if (!isAtTourBranch()) {
+        pauseTour();
+    }
+    // At a branch, playback carries on once the student picks a direction
+}
+
+function updateTourPlayButton() {
+    const button = document.getElementById('btn-tour-play');
+    button.textContent = state.isTourPlaying ? '⏸ Pause' : '▶ Play';
+    button.classList.toggle('active', state.isTourPlaying);
+}
+
+// ============================================
+// AUTHORED TOURS
+// ============================================
+// A tour is a named list of stops, each with its own viewpoint, narrative,
+// lighting preset and highlighted annotations. Stops hold the annotation
+// objects themselves so reordering and renumbering do not break them.
+function setupTourControls() {
+    const select = document.getElementById('tour-stop-lighting');
+    
+    Object.keys(CONFIG.lightingPresets).forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset;
+        option.textContent = preset.charAt(0).toUpperCase() + preset.slice(1);
+        select.appendChild(option);
+    });
+    
+    updateTourPanel();
+}
+
+function getSelectedTour() {
+    return state.tours[state.selectedTourIndex] || null;
+}
+
+// A stop continues to its "next" stop when it names one, ends the tour at
+// "end", and otherwise follows the list. Stops with branches continue only
+// through the student's choice.
+function getNextTourStop(tour, index) {
+    const stop = tour.stops[index];
+    if (!stop || stop.branches.length > 0 || stop.next === 'end') return -1;
+    if (stop.next) return tour.stops.indexOf(stop.next);
+    return index + 1 < tour.stops.length ? index + 1 : -1;
+}
+
+function isBranchingTour(tour) {
+    return tour.stops.some(stop => stop.branches.length > 0 || stop.next);
+}
+
+function isAtTourBranch() {
+    const tour = getSelectedTour();
+    const stop = tour && state.isTourActive && tour.stops[state.tourStopIndex];
+    return Boolean(stop) && stop.branches.length > 0;
+}
+
+function getHighlightedAnnotations() {
+    const tour = getSelectedTour();
+    const stop = tour && state.isTourActive && tour.stops[state.tourStopIndex];
+    return stop ? stop.annotations.filter(annotation => state.annotations.includes(annotation)) : [];
+}
+
+function goToTourStop(index) {
+    const tour = getSelectedTour();
+    const stop = tour && tour.stops[index];
+    if (!stop || state.quiz) return;
+    
+    state.tourStopIndex = index;
+    state.tourIndex = -1;
+    if (state.isTourActive) recordTourPath(index);
+    
+    setLightingPreset(stop.lighting);
+    const { position, target, fov } = stop.viewpoint;
+    animateCamera(position.clone(), target.clone(), CONFIG.cameraTransitionDuration, fov);
+    showTourStopInfo(stop);
+    narrate(`${stop.title}. ${getPlainText(stop.narrative)}`, stop.audio);
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    updateTourProgress();
+    updateTourStopList();
+    scheduleTourAdvance();
+}
+
+function showTourStopInfo(stop) {
+    const tour = getSelectedTour();
+    const branches = document.getElementById('info-branches');
+    
+    document.getElementById('info-title').textContent = stop.title;
+    document.getElementById('info-description').innerHTML = renderMarkdown(stop.narrative);
+    document.getElementById('info-comments').classList.add('hidden');
+    
+    branches.innerHTML = '';
+    stop.branches.forEach(branch => {
+        const button = document.createElement('button');
+        button.className = 'info-branch';
+        button.textContent = `${branch.label} →`;
+        button.addEventListener('click', () => goToTourStop(tour.stops.indexOf(branch.target)));
+        branches.appendChild(button);
+    });
+    branches.classList.toggle('hidden', stop.branches.length === 0);
+    document.getElementById('info-panel').classList.remove('hidden');
+}
+
+function updateTourPanel() {
+    const select = document.getElementById('tour-select');
+    select.innerHTML = '<option value="-1">All annotations</option>';
+    state.tours.forEach((tour, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = tour.name;
+        select.appendChild(option);
+    });
+    
+    if (!getSelectedTour()) state.selectedTourIndex = -1;
+    select.value = state.selectedTourIndex;
+    document.getElementById('tour-editor').classList.toggle('hidden', !getSelectedTour());
+    
+    updateTourStopList();
+    updateTourProgress();
+}
+
+function getTourStopRouteText(tour, stop) {
+    if (stop.branches.length > 0) {
+        return `Branches to ${stop.branches.map(branch => tour.stops.indexOf(branch.target) + 1).join(', ')}`;
+    }
+    if (stop.next === 'end') return 'Ends the tour';
+    if (stop.next) return `Continues to ${tour.stops.indexOf(stop.next) + 1}`;
+    return '';
+}
+
+function updateTourStopList() {
+    const tour = getSelectedTour();
+    const list = document.getElementById('tour-stop-list');
+    list.innerHTML = '';
+    if (!tour) return;
+    
+    tour.stops.forEach((stop, i) => {
+        const isCurrent = state.isTourActive && state.tourStopIndex === i;
+        const isVisited = state.tourPath.includes(i);
+        const item = document.createElement('li');
+        item.className = `tour-stop ${isCurrent ? 'active' : ''} ${isVisited ? 'visited' : ''}`;
+        item.title = getTourStopRouteText(tour, stop);
+        item.innerHTML = `
+            <button class="tour-stop-title" title="Start the tour here">${i + 1}. ${escapeHTML(stop.title)}${stop.branches.length ? ' ⑂' : ''}</button>
+            <button class="tour-stop-btn" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+            <button class="tour-stop-btn" data-action="down" title="Move down" ${i === tour.stops.length - 1 ? 'disabled' : ''}>▼</button>
+            <button class="tour-stop-btn" data-action="edit" title="Edit stop">✎</button>
+            <button class="tour-stop-btn" data-action="delete" title="Delete stop">×</button>
+        `;
+        
+        item.querySelector('.tour-stop-title').addEventListener('click', () => {
+            if (state.isTourActive) {
+                goToTourStop(i);
+            } else {
+                startTour(i);
+            }
+        });
+        item.querySelectorAll('.tour-stop-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                switch (btn.dataset.action) {
+                    case 'up': moveTourStop(i, i - 1); break;
+                    case 'down': moveTourStop(i, i + 1); break;
+                    case 'edit': openTourStopModal(i); break;
+                    case 'delete': deleteTourStop(i); break;
+                }
+            });
+        });
+        list.appendChild(item);
+    });
+}
+
+function selectTour(index) {
+    if (state.isTourActive) endTour();
+    if (state.isEditingTourStop) closeTourStopModal();
+    
+    state.selectedTourIndex = index;
+    updateTourPanel();
+}
+
+function createTour() {
+    const name = sanitizeAnnotationText(prompt('Name the new tour:', `Tour ${state.tours.length + 1}`) || '', CONFIG.maxTitleLength);
+    if (!name) return;
+    
+    recordHistory('Create tour');
+    state.tours.push({ uid: createUid('tour'), name, stops: [] });
+    selectTour(state.tours.length - 1);
+    scheduleAnnotationSave();
+}
+
+function renameTour() {
+    const tour = getSelectedTour();
+    if (!tour) return;
+    
+    const name = sanitizeAnnotationText(prompt('Rename the tour:', tour.name) || '', CONFIG.maxTitleLength);
+    if (!name || name === tour.name) return;
+    
+    recordHistory('Rename tour');
+    tour.name = name;
+    updateTourPanel();
+    scheduleAnnotationSave();
+}
+
+function deleteTour() {
+    const tour = getSelectedTour();
+    if (!tour || !confirm(`Delete the tour "${tour.name}" and its ${tour.stops.length} stop(s)?`)) return;
+    
+    recordHistory('Delete tour');
+    const index = state.selectedTourIndex;
+    selectTour(-1);
+    state.tours.splice(index, 1);
+    updateTourPanel();
+    scheduleAnnotationSave();
+}
+
+function moveTourStop(fromIndex, toIndex) {
+    const tour = getSelectedTour();
+    if (!tour || toIndex < 0 || toIndex >= tour.stops.length) return;
+    
+    recordHistory('Reorder tour stops');
+    const [moved] = tour.stops.splice(fromIndex, 1);
+    tour.stops.splice(toIndex, 0, moved);
+    
+    // Keep the current stop current at its new position; the route so far follows the stops
+    const remap = index => (index === fromIndex ? toIndex : index === toIndex ? fromIndex : index);
+    state.tourStopIndex = remap(state.tourStopIndex);
+    state.tourPath = state.tourPath.map(remap);
+    
+    updateTourStopList();
+    updateTourProgress();
+    scheduleAnnotationSave();
+}
+
+function deleteTourStop(index) {
+    const tour = getSelectedTour();
+    if (!tour || !tour.stops[index]) return;
+    if (state.isEditingTourStop) closeTourStopModal();
+    
+    recordHistory('Delete tour stop');
+    const [removed] = tour.stops.splice(index, 1);
+    
+    // Branches into the removed stop go with it, as does its place in the route taken
+    tour.stops.forEach(stop => {
+        stop.branches = stop.branches.filter(branch => branch.target !== removed);
+        if (stop.next === removed) stop.next = null;
+    });
+    remapTourPath(visited => (visited === index ? -1 : visited > index ? visited - 1 : visited));
+    
+    if (state.isTourActive) {
+        if (tour.stops.length === 0) {
+            endTour();
+        } else if (state.tourStopIndex === index) {
+            goToTourStop(Math.min(index, tour.stops.length - 1));
+        } else if (state.tourStopIndex > index) {
+            state.tourStopIndex--;
+        }
+    }
+    
+    updateTourStopList();
+    updateTourProgress();
+    scheduleAnnotationSave();
+}
+
+function openTourStopModal(index = null) {
+    const tour = getSelectedTour();
+    // The stop editor shows each stop's quiz answer
+    if (!tour || state.quiz) return;
+    
+    // Only one editor at a time
+    if (state.isAddingAnnotation) cancelAnnotation();
+    
+    const stop = index !== null ? tour.stops[index] : null;
+    state.isEditingTourStop = true;
+    state.editingTourStopIndex = index;
+    state.pendingTourStopViewpoint = stop ? stop.viewpoint : null;
+    if (!stop) captureTourStopViewpoint();
+    
+    document.getElementById('tour-stop-modal-title').textContent = stop ? `✎ Edit Stop ${index + 1}` : `🎓 Add Stop to "${tour.name}"`;
+    document.getElementById('tour-stop-title').value = stop ? stop.title : '';
+    document.getElementById('tour-stop-narrative').value = stop ? stop.narrative : '';
+    document.getElementById('tour-stop-lighting').value = stop ? stop.lighting : state.currentLighting;
+    document.getElementById('tour-stop-dwell').value = stop ? stop.dwell : CONFIG.tourDwellTime;
+    document.getElementById('tour-stop-audio').value = stop ? stop.audio : '';
+    document.getElementById('tour-stop-find-prompt').value = stop ? stop.findPrompt : '';
+    document.getElementById('tour-stop-branches').value = stop ? formatTourBranches(tour, stop) : '';
+    document.getElementById('tour-stop-question').value = stop && stop.question ? stop.question.prompt : '';
+    document.getElementById('tour-stop-choices').value = stop && stop.question
+        ? stop.question.choices.map((choice, i) => (i === stop.question.answer ? `*${choice}` : choice)).join('\n')
+        : '';
+    document.getElementById('tour-stop-viewpoint-status').textContent = stop ? 'Saved view' : '✓ Current view';
+    
+    // Offer every annotation for highlighting, labelled in the current language
+    const checklist = document.getElementById('tour-stop-annotations');
+    checklist.innerHTML = state.annotations.length ? '' : '<span class="form-hint">No annotations yet</span>';
+    state.annotations.forEach((annotation, i) => {
+        const item = document.createElement('label');
+        item.className = 'layer-item';
+        item.innerHTML = `
+            <input type="checkbox" data-index="${i}" ${stop && stop.annotations.includes(annotation) ? 'checked' : ''}>
+            <span class="layer-name">${i + 1}. ${escapeHTML(getAnnotationText(annotation, 'title'))}</span>
+        `;
+        checklist.appendChild(item);
+    });
+    
+    const findSelect = document.getElementById('tour-stop-find');
+    findSelect.innerHTML = '<option value="">None</option>';
+    state.annotations.forEach((annotation, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${i + 1}. ${getAnnotationText(annotation, 'title')}`;
+        findSelect.appendChild(option);
+    });
+    findSelect.value = stop && stop.find ? state.annotations.indexOf(stop.find) : '';
+    
+    document.getElementById('tour-stop-modal').classList.remove('hidden');
+    document.getElementById('tour-stop-title').focus();
+}
+
+function closeTourStopModal() {
+    state.isEditingTourStop = false;
+    state.editingTourStopIndex = null;
+    state.pendingTourStopViewpoint = null;
+    document.getElementById('tour-stop-modal').classList.add('hidden');
+}
+
+function captureTourStopViewpoint() {
+    state.pendingTourStopViewpoint = {
+        position: state.camera.position.clone(),
+        target: state.controls.target.clone(),
+        fov: state.camera.fov
+    };
+    document.getElementById('tour-stop-viewpoint-status').textContent = '✓ Current view';
+}
+
+function saveTourStop() {
+    const tour = getSelectedTour();
+    const title = sanitizeAnnotationText(document.getElementById('tour-stop-title').value, CONFIG.maxTitleLength);
+    if (!tour || !title) {
+        document.getElementById('tour-stop-title').focus();
+        return;
+    }
+    
+    const audio = document.getElementById('tour-stop-audio').value.trim();
+    if (audio && !SAFE_AUDIO_PATTERN.test(audio)) {
+        alert('Narration audio must be an http(s) URL, a relative path or an attached audio file.');
+        return;
+    }
+    
+    let question;
+    let route;
+    try {
+        question = parseQuizQuestion(
+            document.getElementById('tour-stop-question').value,
+            document.getElementById('tour-stop-choices').value
+        );
+        route = parseTourBranches(document.getElementById('tour-stop-branches').value, tour);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    
+    const findIndex = document.getElementById('tour-stop-find').value;
+    const index = state.editingTourStopIndex;
+    const stop = {
+        title,
+        narrative: sanitizeAnnotationText(document.getElementById('tour-stop-narrative').value, CONFIG.maxDescriptionLength),
+        viewpoint: state.pendingTourStopViewpoint,
+        lighting: document.getElementById('tour-stop-lighting').value,
+        dwell: parseTourDwell(document.getElementById('tour-stop-dwell').value),
+        audio,
+        find: findIndex === '' ? null : state.annotations[Number(findIndex)] || null,
+        findPrompt: sanitizeAnnotationText(document.getElementById('tour-stop-find-prompt').value, CONFIG.maxTitleLength),
+        question,
+        branches: route.branches,
+        next: route.next,
+        annotations: [...document.querySelectorAll('#tour-stop-annotations input:checked')]
+            .map(input => state.annotations[Number(input.dataset.index)])
+            .filter(Boolean)
+    };
+    
+    recordHistory(index !== null ? 'Edit tour stop' : 'Add tour stop');
+    if (index !== null) {
+        // Other stops branch to this one by reference, so update it in place
+        Object.assign(tour.stops[index], stop);
+    } else {
+        tour.stops.push(stop);
+    }
+    closeTourStopModal();
+    
+    // Show the change straight away if the tour is currently on this stop
+    if (state.isTourActive && state.tourStopIndex === index) {
+        goToTourStop(index);
+    }
+    
+    updateTourStopList();
+    updateTourProgress();
+    scheduleAnnotationSave();
+}
+
+// Branches are written one per line as "Label -> stop number". A single line
+// without a label sets where the stop continues instead: "-> stop number",
+// or "-> end" to finish the tour there.
+function parseTourBranches(text, tour) {
+    const branches = [];
+    let next = null;
+    
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const match = line.match(/^(.*?)\s*->\s*(\d+|end)$/i);
+        const label = match ? sanitizeAnnotationText(match[1], CONFIG.maxTitleLength) : '';
+        const isEnd = Boolean(match) && match[2].toLowerCase() === 'end';
+        const target = match && !isEnd && tour.stops[Number(match[2]) - 1];
+        
+        if (!match || (!isEnd && !target) || (label && isEnd) || (!label && next)) {
+            throw new Error(`"${line}" is not a valid branch. Write each choice as "Label -> stop number" using an existing stop, and at most one "-> stop number" or "-> end" line for where the stop continues.`);
+        }
+        if (label) {
+            branches.push({ label, target });
+        } else {
+            next = isEnd ? 'end' : target;
+        }
+    });
+    
+    if (branches.length > 0 && next) {
+        throw new Error('A stop with choices continues through them, so it cannot also have a "-> stop number" or "-> end" line.');
+    }
+    return { branches, next };
+}
+
+function formatTourBranches(tour, stop) {
+    const lines = stop.branches.map(branch => `${branch.label} -> ${tour.stops.indexOf(branch.target) + 1}`);
+    if (stop.next === 'end') lines.push('-> end');
+    if (stop.next && stop.next !== 'end') lines.push(`-> ${tour.stops.indexOf(stop.next) + 1}`);
+    return lines.join('\n');
+}
+
+function parseTourDwell(value) {
+    const dwell = Number(value);
+    return Number.isFinite(dwell) && dwell > 0 ? Math.min(dwell, 600) : CONFIG.tourDwellTime;
+}
+
+// Highlighted annotations are stored by id, which is their list position at save time
+function serializeTour(tour) {
+    const isModelSpace = Boolean(state.model);
+    
+    return {
+        uid: tour.uid,
+        name: tour.name,
+        modelSpace: isModelSpace,
+        stops: tour.stops.map(stop => ({
+            title: stop.title,
+            narrative: stop.narrative,
+            viewpoint: serializeViewpoint(stop.viewpoint, isModelSpace),
+            lighting: stop.lighting,
+            dwell: stop.dwell,
+            audio: stop.audio,
+            find: stop.find && state.annotations.includes(stop.find) ? stop.find.id : null,
+            findPrompt: stop.findPrompt,
+            question: stop.question,
+            branches: stop.branches.map(branch => ({ label: branch.label, stop: tour.stops.indexOf(branch.target) })),
+            next: stop.next && stop.next !== 'end' ? tour.stops.indexOf(stop.next) : stop.next,
+            annotations: stop.annotations
+                .filter(annotation => state.annotations.includes(annotation))
+                .map(annotation => annotation.id)
+        }))
+    };
+}
+
+function deserializeTour(data, annotations, index) {
+    const isModelSpace = Boolean(data.modelSpace);
+    const stops = data.stops.map(stop => ({
+        title: sanitizeAnnotationText(stop.title, CONFIG.maxTitleLength),
+        narrative: sanitizeAnnotationText(stop.narrative, CONFIG.maxDescriptionLength),
+        viewpoint: deserializeViewpoint(stop.viewpoint, isModelSpace),
+        lighting: CONFIG.lightingPresets[stop.lighting] ? stop.lighting : 'neutral',
+        dwell: parseTourDwell(stop.dwell),
+        audio: typeof stop.audio === 'string' && SAFE_AUDIO_PATTERN.test(stop.audio) ? stop.audio : '',
+        find: annotations.find(annotation => annotation.id === stop.find) || null,
+        findPrompt: sanitizeAnnotationText(stop.findPrompt, CONFIG.maxTitleLength),
+        question: stop.question ? {
+            prompt: sanitizeAnnotationText(stop.question.prompt, CONFIG.maxTitleLength),
+            choices: stop.question.choices.map(choice => sanitizeAnnotationText(choice, CONFIG.maxTitleLength)),
+            answer: stop.question.answer
+        } : null,
+        annotations: (stop.annotations || [])
+            .map(id => annotations.find(annotation => annotation.id === id))
+            .filter(Boolean)
+    }));
+    
+    // Branch targets can point forward, so link them once every stop exists
+    stops.forEach((stop, i) => {
+        const { branches, next } = data.stops[i];
+        stop.branches = (branches || [])
+            .filter(branch => stops[branch.stop])
+            .map(branch => ({ label: sanitizeAnnotationText(branch.label, CONFIG.maxTitleLength), target: stops[branch.stop] }));
+        stop.next = next === 'end' ? 'end' : stops[next] || null;
+    });
+    
+    return {
+        uid: deserializeUid(data.uid, `tour-${index + 1}`),
+        name: sanitizeAnnotationText(data.name, CONFIG.maxTitleLength),
+        stops
+    };
+}
+
+function validateTours(tours) {
+    if (!Array.isArray(tours)) {
+        throw new Error('The tour list is invalid.');
+    }
+    
+    tours.forEach((tour, i) => {
+        if (!tour || typeof tour.name !== 'string' || !tour.name.trim()) {
+            throw new Error(`Tour ${i + 1} is missing a name.`);
+        }
+        if (!Array.isArray(tour.stops)) {
+            throw new Error(`Tour ${i + 1} has no list of stops.`);
+        }
+        tour.stops.forEach((stop, j) => {
+            if (!stop || typeof stop.title !== 'string') {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} is missing a title.`);
+            }
+            if (stop.narrative !== undefined && typeof stop.narrative !== 'string') {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has invalid narrative text.`);
+            }
+            if (!stop.viewpoint || !isValidViewpoint(stop.viewpoint)) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid camera viewpoint.`);
+            }
+            if (stop.dwell !== undefined && !(Number.isFinite(stop.dwell) && stop.dwell > 0)) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid dwell time.`);
+            }
+            if (stop.audio !== undefined && typeof stop.audio !== 'string') {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid narration audio source.`);
+            }
+            if (stop.branches !== undefined && !(Array.isArray(stop.branches) && stop.branches.every(branch =>
+                branch && typeof branch.label === 'string' && Number.isInteger(branch.stop) &&
+                branch.stop >= 0 && branch.stop < tour.stops.length
+            ))) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has invalid branches.`);
+            }
+            if (stop.next !== undefined && stop.next !== null && stop.next !== 'end' &&
+                !(Number.isInteger(stop.next) && stop.next >= 0 && stop.next < tour.stops.length)) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid next stop.`);
+            }
+            if (stop.find !== undefined && stop.find !== null && !Number.isInteger(stop.find)) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid quiz target.`);
+            }
+            if (stop.question !== undefined && stop.question !== null && !isValidQuizQuestion(stop.question)) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has an invalid quiz question.`);
+            }
+            if (stop.annotations !== undefined && !(Array.isArray(stop.annotations) && stop.annotations.every(Number.isInteger))) {
+                throw new Error(`Stop ${j + 1} of tour ${i + 1} has invalid highlighted annotations.`);
+            }
+        });
+    });
+}
+
+// ============================================
+// TOUR NARRATION
+// ============================================
+// As the tour focuses a stop it is read aloud with the Web Speech API, or a
+// stop's pre-recorded audio is played instead. Autoplay waits for the
+// narration to finish before moving on.
+const SAFE_AUDIO_PATTERN = /^(https?:\/\/|data:audio\/[\w.+-]+;base64,|(?![a-z][a-z\d+.-]*:))/i;
+
+function setupNarrationControls() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.narrationStorageKey) || '{}');
+        state.narration.muted = saved.muted === true;
+        state.narration.voice = typeof saved.voice === 'string' ? saved.voice : '';
+        state.narration.rate = Number.isFinite(saved.rate) ? THREE.MathUtils.clamp(saved.rate, 0.5, 2) : 1;
+    } catch (error) {
+        console.error('Error loading narration settings:', error);
+    }
+    
+    const voiceSelect = document.getElementById('narration-voice');
+    if ('speechSynthesis' in window) {
+        populateNarrationVoices();
+        // Most browsers load their voice list asynchronously
+        speechSynthesis.addEventListener('voiceschanged', populateNarrationVoices);
+    } else {
+        voiceSelect.disabled = true;
+        voiceSelect.title = 'Spoken narration is not supported in this browser';
+    }
+    
+    document.getElementById('narration-rate').value = state.narration.rate;
+    updateNarrationControls();
+}
+
+function populateNarrationVoices() {
+    const select = document.getElementById('narration-voice');
+    select.innerHTML = '<option value="">Automatic voice</option>';
+    
+    speechSynthesis.getVoices().forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceURI;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        select.appendChild(option);
+    });
+    
+    select.value = state.narration.voice;
+    if (select.value !== state.narration.voice) select.value = '';
+}
+
+function updateNarrationControls() {
+    const muteBtn = document.getElementById('btn-narration-mute');
+    muteBtn.textContent = state.narration.muted ? '🔇' : '🔊';
+    muteBtn.title = state.narration.muted ? 'Unmute narration' : 'Mute narration';
+    muteBtn.classList.toggle('active', state.narration.muted);
+    document.getElementById('narration-rate-value').textContent = `${state.narration.rate.toFixed(1)}×`;
+}
+
+function saveNarrationSettings() {
+    try {
+        localStorage.setItem(CONFIG.narrationStorageKey, JSON.stringify(state.narration));
+    } catch (error) {
+        console.error('Error saving narration settings:', error);
+    }
+}
+
+function toggleNarrationMute() {
+    state.narration.muted = !state.narration.muted;
+    
+    // Muting mid-stop should not leave autoplay waiting for speech that was cut off
+    if (state.narration.muted) {
+        const wasWaiting = state.advanceAfterNarration;
+        stopNarration();
+        if (wasWaiting && state.isTourPlaying) advanceTour();
+    }
+    
+    updateNarrationControls();
+    saveNarrationSettings();
+}
+
+function setNarrationVoice(voiceURI) {
+    state.narration.voice = voiceURI;
+    saveNarrationSettings();
+}
+
+function setNarrationRate(value) {
+    state.narration.rate = parseFloat(value);
+    updateNarrationControls();
+    saveNarrationSettings();
+}
+
+// Falls back to a voice for the current annotation language
+function getNarrationVoice() {
+    const voices = speechSynthesis.getVoices();
+    return voices.find(voice => voice.voiceURI === state.narration.voice) ||
+        voices.find(voice => voice.lang.toLowerCase().startsWith(state.language)) ||
+        null;
+}
+
+function narrate(text, audioSource = '') {
+    stopNarration();
+    if (state.narration.muted) return;
+    
+    if (audioSource) {
+        const audio = new Audio(audioSource);
+        audio.playbackRate = state.narration.rate;
+        audio.addEventListener('ended', () => finishNarration(audio));
+        audio.addEventListener('error', () => finishNarration(audio));
+        state.narrationSource = audio;
+        audio.play().catch((error) => {
+            console.error('Error playing narration audio:', error);
+            finishNarration(audio);
+        });
+        return;
+    }
+    
+    if (!('speechSynthesis' in window) || !text) return;
+    
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = getNarrationVoice();
+    utterance.lang = voice ? voice.lang : state.language;
+    utterance.voice = voice;
+    utterance.rate = state.narration.rate;
+    utterance.addEventListener('end', () => finishNarration(utterance));
+    utterance.addEventListener('error', () => finishNarration(utterance));
+    state.narrationSource = utterance;
+    speechSynthesis.speak(utterance);
+}
+
+// Cancelled speech still fires "end" later, so only the current source counts
+function finishNarration(source) {
+    if (source !== state.narrationSource) return;
+    
+    state.narrationSource = null;
+    if (state.advanceAfterNarration) {
+        state.advanceAfterNarration = false;
+        if (state.isTourPlaying) advanceTour();
+    }
+}
+
+function stopNarration() {
+    const source = state.narrationSource;
+    state.narrationSource = null;
+    state.advanceAfterNarration = false;
+    
+    if (source instanceof Audio) {
+        source.pause();
+    } else if ('speechSynthesis' in window) {
+        speechSynthesis.cancel();
+    }
+}
+
+function attachTourStopAudio(file) {
+    if (file.size > CONFIG.maxNarrationAudioSize) {
+        alert(`Attached audio is saved with the tour and must be under ${Math.round(CONFIG.maxNarrationAudioSize / 1024)} KB. Link larger files by URL instead.`);
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('tour-stop-audio').value = reader.result;
+    };
+    reader.onerror = () => {
+        alert('Could not read the selected file.');
+    };
+    reader.readAsDataURL(file);
+}
+
+// ============================================
+// QUIZ MODE
+// ============================================
+// A quiz runs over the selected tour: a stop can ask students to find an
+// annotation on the model, answer a multiple-choice question, or both. With
+// no authored tour selected every visible annotation becomes a "find the
+// feature" question. Labels and markers stay hidden until the quiz ends.
+function parseQuizQuestion(promptText, choicesText) {
+    const prompt = sanitizeAnnotationText(promptText, CONFIG.maxTitleLength);
+    const lines = choicesText.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!prompt && lines.length === 0) return null;
+    
+    const answers = lines.filter(line => line.startsWith('*'));
+    if (!prompt || lines.length < 2 || answers.length !== 1) {
+        throw new Error('A multiple-choice question needs a prompt, at least two answers and exactly one answer marked with *.');
+    }
+    
+    return {
+        prompt,
+        choices: lines.map(line => sanitizeAnnotationText(line.replace(/^\*/, ''), CONFIG.maxTitleLength)),
+        answer: lines.findIndex(line => line.startsWith('*'))
+    };
+}
+
+function isValidQuizQuestion(question) {
+    return typeof question.prompt === 'string' &&
+        Array.isArray(question.choices) && question.choices.length >= 2 &&
+        question.choices.every(choice => typeof choice === 'string') &&
+        Number.isInteger(question.answer) && question.answer >= 0 && question.answer < question.choices.length;
+}
+
+function buildQuizQuestions() {
+    const tour = getSelectedTour();
+    
+    if (!tour) {
+        return getVisibleAnnotationIndices().map(index => ({
+            type: 'find',
+            prompt: `Click on: ${getAnnotationText(state.annotations[index], 'title')}`,
+            annotation: state.annotations[index],
+            stop: null
+        }));
+    }
+    
+    return tour.stops.flatMap(stop => {
+        const questions = [];
+        if (stop.find && state.annotations.includes(stop.find)) {
+            questions.push({
+                type: 'find',
+                prompt: stop.findPrompt || `Click on: ${getAnnotationText(stop.find, 'title')}`,
+                annotation: stop.find,
+                stop
+            });
+        }
+        if (stop.question) {
+            questions.push({ type: 'choice', ...stop.question, stop });
+        }
+        return questions;
+    });
+}
+
+function startQuiz() {
+    const tour = getSelectedTour();
+    const questions = buildQuizQuestions();
+    if (questions.length === 0) {
+        alert(tour
+            ? `"${tour.name}" has no quiz questions yet. Edit its stops to add a feature to find or a multiple-choice question.`
+            : 'No annotations to quiz on yet. Add annotations first, or turn on a hidden layer.');
+        return;
+    }
+    
+    if (state.isTourActive) endTour();
+    if (state.isAddingAnnotation) cancelAnnotation();
+    if (state.isEditingTourStop) closeTourStopModal();
+    
+    state.quiz = {
+        title: tour ? tour.name : 'Annotations',
+        questions,
+        index: 0,
+        results: [],
+        startedAt: new Date().toISOString()
+    };
+    
+    document.getElementById('info-panel').classList.add('hidden');
+    document.getElementById('canvas-container').classList.add('quiz-active');
+    document.getElementById('quiz-panel').classList.remove('hidden');
+    document.getElementById('quiz-question').classList.remove('hidden');
+    document.getElementById('quiz-summary').classList.add('hidden');
+    document.getElementById('btn-tour-start').disabled = true;
+    update3DAnnotationMarkers();
+    showQuizQuestion();
+}
+
+function endQuiz() {
+    state.quiz = null;
+    clearQuizReveal();
+    document.getElementById('quiz-panel').classList.add('hidden');
+    document.getElementById('canvas-container').classList.remove('quiz-active');
+    document.getElementById('btn-tour-start').disabled = false;
+    update3DAnnotationMarkers();
+}
+
+function showQuizQuestion() {
+    const quiz = state.quiz;
+    const question = quiz.questions[quiz.index];
+    clearQuizReveal();
+    
+    // Authored questions are asked from their stop's view
+    if (question.stop) {
+        const { position, target, fov } = question.stop.viewpoint;
+        setLightingPreset(question.stop.lighting);
+        animateCamera(position.clone(), target.clone(), CONFIG.cameraTransitionDuration, fov);
+    }
+    
+    document.getElementById('quiz-progress').textContent = `Question ${quiz.index + 1} of ${quiz.questions.length}`;
+    document.getElementById('quiz-prompt').textContent = question.prompt;
+    document.getElementById('quiz-hint').classList.toggle('hidden', question.type !== 'find');
+    document.getElementById('quiz-feedback').textContent = '';
+    document.getElementById('quiz-feedback').className = 'quiz-feedback';
+    document.getElementById('btn-quiz-next').textContent = 'Skip';
+    
+    const choices = document.getElementById('quiz-choices');
+    choices.innerHTML = '';
+    if (question.type === 'choice') {
+        question.choices.forEach((choice, i) => {
+            const button = document.createElement('button');
+            button.className = 'quiz-choice';
+            button.textContent = choice;
+            button.addEventListener('click', () => answerQuizChoice(i));
+            choices.appendChild(button);
+        });
+    }
+}
+
+function recordQuizAnswer(correct, response) {
+    const quiz = state.quiz;
+    const question = quiz.questions[quiz.index];
+    quiz.results[quiz.index] = { type: question.type, prompt: question.prompt, correct, response };
+    
+    const feedback = document.getElementById('quiz-feedback');
+    feedback.textContent = correct ? '✓ Correct!' : `✗ Not quite (${response})`;
+    feedback.className = `quiz-feedback ${correct ? 'correct' : 'incorrect'}`;
+    document.getElementById('btn-quiz-next').textContent = quiz.index === quiz.questions.length - 1 ? 'See Results' : 'Next ▶';
+}
+
+function getQuizTolerance() {
+    const size = state.modelBoundingBox.getSize(new THREE.Vector3());
+    return Math.max(size.x, size.y, size.z) * CONFIG.quizHitTolerance;
+}
+
+function answerQuizHotspot(point) {
+    const quiz = state.quiz;
+    const question = quiz.questions[quiz.index];
+    if (question.type !== 'find' || quiz.results[quiz.index]) return;
+    
+    const { annotation } = question;
+    // Regions are missed by the distance to their nearest edge, not their pin
+    const distance = annotation.region
+        ? getDistanceToRegion(point, annotation.region)
+        : point.distanceTo(annotation.position);
+    const correct = distance <= getQuizTolerance();
+    
+    recordQuizAnswer(correct, correct ? 'Found' : `missed by ${distance.toFixed(2)} units`);
+    revealQuizTarget(annotation, correct);
+}
+
+function answerQuizChoice(choiceIndex) {
+    const quiz = state.quiz;
+    const question = quiz.questions[quiz.index];
+    if (quiz.results[quiz.index]) return;
+    
+    document.querySelectorAll('.quiz-choice').forEach((button, i) => {
+        button.disabled = true;
+        button.classList.toggle('correct', i === question.answer);
+        button.classList.toggle('incorrect', i === choiceIndex && i !== question.answer);
+    });
+    
+    const correct = choiceIndex === question.answer;
+    recordQuizAnswer(correct, correct ? question.choices[choiceIndex] : `the answer is "${question.choices[question.answer]}"`);
+}
+
+// Show where the feature actually is once the student has answered
+function revealQuizTarget(annotation, correct) {
+    clearQuizReveal();
+    
+    const color = correct ? 0x4CAF50 : 0xf44336;
+    const reveal = new THREE.Group();
+    reveal.add(createAnnotationMarker(annotation.position, state.annotations.indexOf(annotation), false, color, annotation.normal));
+    if (annotation.region) {
+        reveal.add(createRegionOverlay(annotation.region, color));
+    }
+    
+    state.quizReveal = reveal;
+    state.scene.add(reveal);
+}
+
+function clearQuizReveal() {
+    if (state.quizReveal) {
+        state.scene.remove(state.quizReveal);
+        state.quizReveal = null;
+    }
+}
+
+function nextQuizQuestion() {
+    const quiz = state.quiz;
+    const question = quiz.questions[quiz.index];
+    if (!quiz.results[quiz.index]) {
+        quiz.results[quiz.index] = { type: question.type, prompt: question.prompt, correct: false, response: 'Skipped' };
+    }
+    
+    if (quiz.index < quiz.questions.length - 1) {
+        quiz.index++;
+        showQuizQuestion();
+    } else {
+        showQuizSummary();
+    }
+}
+
+function showQuizSummary() {
+    const quiz = state.quiz;
+    const score = quiz.results.filter(result => result.correct).length;
+    const total = quiz.questions.length;
+    quiz.completedAt = new Date().toISOString();
+    clearQuizReveal();
+    
+    document.getElementById('quiz-question').classList.add('hidden');
+    document.getElementById('quiz-summary').classList.remove('hidden');
+    document.getElementById('quiz-score').textContent = `${score} / ${total} (${Math.round(score / total * 100)}%)`;
+    document.getElementById('quiz-student').value = document.getElementById('comment-author').value;
+    
+    const list = document.getElementById('quiz-results');
+    list.innerHTML = '';
+    quiz.results.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.correct ? 'correct' : 'incorrect';
+        item.textContent = `${result.correct ? '✓' : '✗'} ${result.prompt} — ${result.response}`;
+        list.appendChild(item);
+    });
+}
+
+function exportQuizResults() {
+    const quiz = state.quiz;
+    const student = sanitizeAnnotationText(document.getElementById('quiz-student').value, CONFIG.maxAuthorLength);
+    if (student) saveAuthorName(student);
+    
+    const data = {
+        model: CONFIG.modelPath,
+        quiz: quiz.title,
+        student: student || 'Anonymous',
+        startedAt: quiz.startedAt,
+        completedAt: quiz.completedAt,
+        score: quiz.results.filter(result => result.correct).length,
+        total: quiz.questions.length,
+        results: quiz.results
+    };
+    
+    downloadJSON(data, `parthenon-cavalcade-quiz-${Date.now()}.json`, 'application/json');
+}
+
+// ============================================
+// DEEP LINKS
+// ============================================
+// The URL hash describes a view, e.g.
+// #camera=x,y,z,tx,ty,tz,fov&annotation=<uid>&lighting=warm or
+// &tour=<uid>&stop=2. Annotations and tours are named by their uid, which
+// survives reordering and travels with exported sets, so a link works for
+// anyone who has loaded the same set. Stop numbers are 1-based as shown in
+// the UI. The viewer has no alternative render modes yet, so none is encoded.
+const SAFE_UID_PATTERN = /^[a-z0-9-]{1,64}$/i;
+
+function createUid(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Sets saved before uids existed get one derived from their position, so
+// everyone loading the same file still agrees on it
+function deserializeUid(uid, fallback) {
+    return typeof uid === 'string' && SAFE_UID_PATTERN.test(uid) ? uid : fallback;
+}
+
+// Merged or hand-edited files can repeat a uid; later repeats get a fresh one
+function makeUidsUnique(items, prefix) {
+    const seen = new Set();
+    items.forEach(item => {
+        if (seen.has(item.uid)) item.uid = createUid(prefix);
+        seen.add(item.uid);
+    });
+}
+
+function getViewHash() {
+    const params = new URLSearchParams();
+    const camera = [
+        ...state.camera.position.toArray(),
+        ...state.controls.target.toArray(),
+        state.camera.fov
+    ];
+    params.set('camera', camera.map(value => Number(value.toFixed(3))).join(','));
+    
+    if (state.isTourActive && getSelectedTour()) {
+        params.set('tour', getSelectedTour().uid);
+        params.set('stop', state.tourStopIndex + 1);
+    } else if (state.annotations[state.tourIndex] && !document.getElementById('info-panel').classList.contains('hidden')) {
+        params.set('annotation', state.annotations[state.tourIndex].uid);
+    }
+    
+    params.set('lighting', state.currentLighting);
+    return `#${params.toString()}`;
+}
+
+function restoreViewFromHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (!state.model || [...params.keys()].length === 0) return;
+    
+    const lighting = params.get('lighting');
+    if (CONFIG.lightingPresets[lighting]) {
+        setLightingPreset(lighting);
+    }
+    
+    const tourIndex = state.tours.findIndex(tour => tour.uid === params.get('tour'));
+    const stopIndex = parseInt(params.get('stop'), 10) - 1;
+    const annotationIndex = state.annotations.findIndex(annotation => annotation.uid === params.get('annotation'));
+    
+    if (params.has('tour')) {
+        if (tourIndex !== -1 && state.tours[tourIndex].stops[stopIndex]) {
+            selectTour(tourIndex);
+            startTour(stopIndex);
+        } else {
+            alert('This link points to a tour stop that is not in the tours loaded here. Import the tour file it was shared with to follow it.');
+        }
+    } else if (params.has('annotation')) {
+        if (annotationIndex !== -1) {
+            focusAnnotation(annotationIndex);
+        } else {
+            alert('This link points to an annotation that is not in the annotations loaded here. Import the annotation file it was shared with to see it.');
+        }
+    }
+    
+    // The exact camera wins over the stop or annotation's own view
+    const camera = (params.get('camera') || '').split(',').map(Number);
+    if (camera.length === 7 && camera.every(Number.isFinite) && camera[6] > 0 && camera[6] < 180) {
+        state.cameraAnimationId++;
+        state.camera.position.fromArray(camera, 0);
+        state.controls.target.fromArray(camera, 3);
+        state.camera.fov = camera[6];
+        state.camera.updateProjectionMatrix();
+        state.controls.update();
+    }
+}
+
+function copyViewLink() {
+    const hash = getViewHash();
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    const button = document.getElementById('btn-copy-link');
+    
+    // Keep the address bar in step without triggering a restore
+    history.replaceState(null, '', hash);
+    
+    // The clipboard API only exists in secure contexts (not plain http or file://)
+    if (!navigator.clipboard) {
+        prompt('Copy this link to the current view:', url);
+        return;
+    }
+    
+    navigator.clipboard.writeText(url).then(() => {
+        button.querySelector('span:last-child').textContent = 'Link Copied';
+        setTimeout(() => {
+            button.querySelector('span:last-child').textContent = 'Copy Link';
+        }, 2000);
+    }).catch((error) => {
+        // Permission can still be refused; let the user copy it by hand
+        console.error('Error copying link:', error);
+        prompt('Copy this link to the current view:', url);
+    });
+}
+
+// ============================================
+// MEASUREMENT TOOL
+// ============================================
+function toggleMeasureMode() {
+    state.isMeasuring = !state.isMeasuring;
+    clearMeasurement();
+    forgetMeasurementHistory();
+    
+    document.getElementById('btn-measure').classList.toggle('active', state.isMeasuring);
+    document.getElementById('measurement-display').classList.toggle('hidden', !state.isMeasuring);
+    
+    if (state.isMeasuring) {
+        state.renderer.domElement.style.cursor = 'crosshair';
+    } else {
+        state.renderer.domElement.style.cursor = 'grab';
+    }
+}
+
+function clearMeasurement() {
+    state.measurePoints = [];
+    
+    // Remove markers
+    state.measureMarkers.forEach(marker => state.scene.remove(marker));
+    state.measureMarkers = [];
+    
+    // Remove line
+    if (state.measureLine) {
+        state.scene.remove(state.measureLine);
+        state.measureLine = null;
+    }
+    
+    document.getElementById('measurement-result').textContent = '';
+}
+
+// Points are discarded whenever the tool is toggled, so undo steps that only
+// placed them would have nothing to restore
+function forgetMeasurementHistory() {
+    const forget = stack => stack
+        .filter(entry => entry.label !== 'Add measurement point')
+        .map(entry => ({ ...entry, snapshot: { ...entry.snapshot, measurePoints: [] } }));
+    
+    state.undoStack = forget(state.undoStack);
+    state.redoStack = forget(state.redoStack);
+    updateHistoryButtons();
+}
+
+function addMeasurePoint(point) {
+    recordHistory('Add measurement point');
+    placeMeasurePoint(point);
+}
+
+function placeMeasurePoint(point) {
+    // Create marker sphere
+    const geometry = new THREE.SphereGeometry(0.02, 16, 16);
+    const material = new THREE.MeshBasicMaterial({ color: 0xC9A227 });
+    const marker = new THREE.Mesh(geometry, material);
+    marker.position.copy(point);
+    state.scene.add(marker);
+    state.measureMarkers.push(marker);
+    
+    state.measurePoints.push(point.clone());
+    
+    if (state.measurePoints.length === 2) {
+        // Calculate and display distance
+        const distance = state.measurePoints[0].distanceTo(state.measurePoints[1]);
+        document.getElementById('measurement-result').textContent = 
+            `Distance: ${distance.toFixed(3)} units`;
+        
+        // Draw line between points
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints(state.measurePoints);
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0xC9A227, linewidth: 2 });
+        state.measureLine = new THREE.Line(lineGeometry, lineMaterial);
+        state.scene.add(state.measureLine);
+    }
+}
+
+// ============================================
+// TEXT SANITIZATION
+// ============================================
+// Annotation text can come from other people (imports, shared files), so it is
+// normalized on the way in and always escaped before it reaches innerHTML.
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function sanitizeAnnotationText(text, maxLength) {
+    return String(text ?? '')
+        // Strip control characters except tab and newline
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+        .replace(/\r\n?/g, '\n')
+        .trim()
+        .slice(0, maxLength);
+}
+
+// ============================================
+// RICH ANNOTATION CONTENT
+// ============================================
+// Descriptions support a small markdown subset: paragraphs, line breaks,
+// "-" and "1." lists, **bold**, *italic*, `code`, [links](https://...) and
+// ![images](image:id). Text is escaped before any markup is applied, and only
+// allow-listed URL schemes become links or images. Images must be embedded:
+// remote images in a shared set would report every viewer to their host.
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+const SAFE_IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/i;
+
+// Code spans, images and links, in that order of precedence
+const INLINE_TOKEN_PATTERN = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function renderEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>');
+}
+
+function renderInlineToken([match, code, alt, src, text, href], images) {
+    if (code !== undefined) {
+        return `<code>${code}</code>`;
+    }
+    if (src !== undefined) {
+        const image = src.startsWith('image:') && images.find(img => `image:${img.id}` === src);
+        const url = image ? image.dataURL : src;
+        if (!SAFE_IMAGE_PATTERN.test(url)) return alt;
+        // Embedded images come straight from stored data, not the escaped text
+        return `<img src="${escapeHTML(url)}" alt="${alt}" loading="lazy">`;
+    }
+    if (!SAFE_LINK_PATTERN.test(href)) return renderEmphasis(text);
+    return `<a href="${href}" target="_blank" rel="noopener noreferrer">${renderEmphasis(text)}</a>`;
+}
+
+// Emphasis is applied only to the text between tokens, so it never reaches
+// code or the inside of a URL
+function renderInlineMarkdown(escaped, images) {
+    let html = '';
+    let last = 0;
+    
+    for (const match of escaped.matchAll(INLINE_TOKEN_PATTERN)) {
+        html += renderEmphasis(escaped.slice(last, match.index)) + renderInlineToken(match, images);
+        last = match.index + match[0].length;
+    }
+    return html + renderEmphasis(escaped.slice(last));
+}
+
+function renderMarkdown(text, images = []) {
+    const blocks = escapeHTML(text).split(/\n\s*\n/);
+    
+    return blocks.map(block => {
+        const lines = block.trim().split('\n');
+        
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+            const items = lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*[-*]\s+/, ''), images)}</li>`);
+            return `<ul>${items.join('')}</ul>`;
+        }
+        if (lines.every(line => /^\s*\d+\.\s+/.test(line))) {
+            const items = lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*\d+\.\s+/, ''), images)}</li>`);
+            return `<ol>${items.join('')}</ol>`;
+        }
+        
+        return `<p>${lines.map(line => renderInlineMarkdown(line, images)).join('<br>')}</p>`;
+    }).join('');
+}
+
+// The text a reader sees, without markup, URLs or image references. Used to
+// speak descriptions and to search them.
+function getPlainText(markdown, images = []) {
+    const container = document.createElement('div');
+    container.innerHTML = renderMarkdown(markdown, images);
+    return container.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function isValidAnnotationImage(image) {
+    return Boolean(image) &&
+        typeof image.id === 'string' &&
+        typeof image.name === 'string' &&
+        typeof image.dataURL === 'string' &&
+        SAFE_IMAGE_PATTERN.test(image.dataURL);
+}
+
+function inlineAnnotationImages(text, images = []) {
+    return images.reduce((result, image) => result.split(`(image:${image.id})`).join(`(${image.dataURL})`), text);
+}
+
+function readImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('The file is not a readable image.'));
+            img.src = reader.result;
+        };
+        reader.onerror = () => reject(new Error('Could not read the selected file.'));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function insertAnnotationImage(file) {
+    let img;
+    try {
+        img = await readImageFile(file);
+    } catch (error) {
+        alert(`Could not add image: ${error.message}`);
+        return;
+    }
+    
+    // Downscale so annotation sets stay within browser storage limits
+    const scale = Math.min(1, CONFIG.maxImageSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    
+    const image = {
+        id: `img-${Date.now().toString(36)}-${state.pendingAnnotationImages.length}`,
+        name: file.name,
+        dataURL: canvas.toDataURL('image/jpeg', 0.85)
+    };
+    state.pendingAnnotationImages.push(image);
+    
+    // Insert the image reference at the cursor
+    const textarea = document.getElementById('annotation-description');
+    const alt = file.name.replace(/\.[^.]+$/, '').replace(/[[\]]/g, '');
+    const snippet = `![${alt}](image:${image.id})`;
+    const start = textarea.selectionStart;
+    textarea.value = textarea.value.slice(0, start) + snippet + textarea.value.slice(textarea.selectionEnd);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + snippet.length;
+}
+
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+// History entries are snapshots of the editable state taken before each
+// change, so every edit type is covered by a single restore path.
+function captureSnapshot() {
+    return {
+        annotations: state.annotations.map(serializeAnnotation),
+        tours: state.tours.map(serializeTour),
+        measurePoints: state.measurePoints.map(point => point.toArray())
+    };
+}
+
+function recordHistory(label) {
+    state.undoStack.push({ label, snapshot: captureSnapshot() });
+    if (state.undoStack.length > CONFIG.historyLimit) {
+        state.undoStack.shift();
+    }
+    state.redoStack = [];
+    updateHistoryButtons();
+}
+
+function clearHistory() {
+    state.undoStack = [];
+    state.redoStack = [];
+    updateHistoryButtons();
+}
+
+function undo() {
+    const entry = state.undoStack.pop();
+    if (!entry) return;
+    
+    state.redoStack.push({ label: entry.label, snapshot: captureSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    updateHistoryButtons();
+}
+
+function redo() {
+    const entry = state.redoStack.pop();
+    if (!entry) return;
+    
+    state.undoStack.push({ label: entry.label, snapshot: captureSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    updateHistoryButtons();
+}
+
+function restoreSnapshot(snapshot) {
+    // An open add/edit session would refer to annotations that may no longer exist
+    if (state.isAddingAnnotation) cancelAnnotation();
+    if (state.isEditingTourStop) closeTourStopModal();
+    if (state.isTourActive && getSelectedTour()) endTour();
+    if (state.quiz) endQuiz();
+    
+    state.annotations = snapshot.annotations.map(deserializeAnnotation);
+    state.tours = snapshot.tours.map((tour, i) => deserializeTour(tour, state.annotations, i));
+    updateTourPanel();
+    
+    if (state.tourIndex >= state.annotations.length) {
+        state.tourIndex = state.annotations.length - 1;
+    }
+    // The route taken refers to annotation positions from before the restore
+    state.tourPath = state.isTourActive && state.tourIndex >= 0 ? [state.tourIndex] : [];
+    if (state.tourIndex < 0) {
+        if (state.isTourActive) endTour();
+        document.getElementById('info-panel').classList.add('hidden');
+    } else if (!document.getElementById('info-panel').classList.contains('hidden')) {
+        showAnnotationInfo(state.annotations[state.tourIndex]);
+    }
+    
+    // Measurement markers only exist while the measure tool is active
+    if (state.isMeasuring) {
+        clearMeasurement();
+        snapshot.measurePoints.forEach(point => placeMeasurePoint(new THREE.Vector3().fromArray(point)));
+    }
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    update3DAnnotationMarkers();
+    updateTourProgress();
+    scheduleAnnotationSave();
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    const lastUndo = state.undoStack[state.undoStack.length - 1];
+    const lastRedo = state.redoStack[state.redoStack.length - 1];
+    
+    undoBtn.disabled = !lastUndo;
+    redoBtn.disabled = !lastRedo;
+    undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// ============================================
+// ADD ANNOTATION MODE
+// ============================================
+function createAnnotationMarker(position, index, isPreview = false, color = 0xC9A227, normal = SURFACE_UP) {
+    // Create a 3D marker that hovers over the model surface
+    const group = new THREE.Group();
+    
+    // Size multiplier for preview (make it bigger and more visible)
+    const scale = isPreview ? 1.5 : 1.0;
+    
+    // Main sphere
+    const sphereGeometry = new THREE.SphereGeometry(0.035 * scale, 32, 32);
+    const sphereMaterial = new THREE.MeshBasicMaterial({ 
+        color: isPreview ? 0x00ff00 : color,
+        transparent: true,
         opacity: isPreview ? 0.9 : 1.0
     });
-    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-    group.add(sphere);
+    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+    group.add(sphere);
+    
+    // Outer ring for visibility
+    const ringGeometry = new THREE.RingGeometry(0.045 * scale, 0.06 * scale, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({ 
+        color: isPreview ? 0x00ff00 : 0xffffff, 
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.9
+    });
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.lookAt(state.camera.position);
+    group.add(ring);
+    
+    // Pin/line going to surface
+    const pinGeometry = new THREE.CylinderGeometry(0.005 * scale, 0.005 * scale, 0.06 * scale, 8);
+    const pinMaterial = new THREE.MeshBasicMaterial({ color: isPreview ? 0x00ff00 : 0xffffff });
+    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
+    pin.position.y = -0.03 * scale;
+    group.add(pin);
+    
+    // Position slightly above the surface, with the pin along the surface normal
+    placeOnSurface(group, position, normal, 0.06 * scale);
+    
+    group.userData = { index, isPreview };
+    
+    return group;
+}
+
+function update3DAnnotationMarkers() {
+    // Positions may have changed, so labels need a fresh occlusion check
+    state.occlusionDirty = true;
+    
+    // Remove old markers
+    state.annotationMarkers.forEach(marker => state.scene.remove(marker));
+    state.annotationMarkers = [];
+    state.regionOverlays.forEach(overlay => state.scene.remove(overlay));
+    state.regionOverlays = [];
+    
+    // Create new markers for each annotation
+    // (markers stay index-aligned with annotations; hidden layers are just made invisible)
+    state.annotations.forEach((annotation, index) => {
+        const { color } = getAnnotationCategory(annotation);
+        const marker = createAnnotationMarker(annotation.position, index, false, color, annotation.normal);
+        marker.visible = isAnnotationVisible(annotation) && !state.quiz;
+        state.scene.add(marker);
+        state.annotationMarkers.push(marker);
+        
+        // Region annotations also get a highlighted area on the surface
+        if (annotation.region && state.model) {
+            const overlay = createRegionOverlay(annotation.region, color);
+            overlay.userData = { index };
+            overlay.visible = marker.visible;
+            state.scene.add(overlay);
+            state.regionOverlays.push(overlay);
+        }
+    });
+    
+    applySearchDimming();
+}
+
+function toggleAddAnnotationMode() {
+    state.isAddingAnnotation = !state.isAddingAnnotation;
+    
+    document.getElementById('btn-add-annotation').classList.toggle('active', state.isAddingAnnotation);
+    document.getElementById('annotation-modal').classList.toggle('hidden', !state.isAddingAnnotation);
+    
+    if (state.isAddingAnnotation) {
+        state.renderer.domElement.style.cursor = 'crosshair';
+        state.pendingAnnotationPosition = null;
+        state.pendingAnnotationImages = [];
+        state.pendingAnnotationViewpoint = null;
+        state.pendingAnnotationRegion = null;
+        updateViewpointStatus();
+        document.getElementById('annotation-category').value = CONFIG.defaultCategory;
+        document.getElementById('annotation-modal-title').textContent = '📌 Add Annotation';
+        document.getElementById('btn-save-annotation').textContent = 'Save Annotation';
+        document.getElementById('btn-save-annotation').disabled = true;
+        state.pendingAnnotationContent = {};
+        setPendingAnnotationLanguage(state.language);
+        setAnnotationShape('point');
+        
+        // Create preview marker (hidden initially)
+        if (state.previewMarker) {
+            state.scene.remove(state.previewMarker);
+        }
+        state.previewMarker = createAnnotationMarker(new THREE.Vector3(0, -1000, 0), -1, true);
+        state.previewMarker.visible = false;
+        state.scene.add(state.previewMarker);
+    } else {
+        state.renderer.domElement.style.cursor = 'grab';
+        state.editingAnnotationIndex = null;
+        state.pendingAnnotationRegion = null;
+        discardRegionDraft();
+        // Remove preview marker
+        if (state.previewMarker) {
+            state.scene.remove(state.previewMarker);
+            state.previewMarker = null;
+        }
+        // Remove placed marker
+        if (state.placedMarker) {
+            state.scene.remove(state.placedMarker);
+            state.placedMarker = null;
+        }
+    }
+}
+
+function editAnnotation(index) {
+    const annotation = state.annotations[index];
+    // The editor marks the annotation's position, which would give away quiz answers
+    if (!annotation || state.quiz) return;
+    
+    // Close any add/edit session already in progress before reopening the modal
+    if (state.isAddingAnnotation) toggleAddAnnotationMode();
+    
+    toggleAddAnnotationMode();
+    state.editingAnnotationIndex = index;
+    document.getElementById('btn-add-annotation').classList.remove('active');
+    
+    setAnnotationShape(annotation.region ? annotation.region.mode : 'point');
+    document.getElementById('annotation-modal-title').textContent = `✎ Edit Annotation ${index + 1}`;
+    document.getElementById('btn-save-annotation').textContent = 'Save Changes';
+    state.pendingAnnotationContent = {
+        ...annotation.translations,
+        [CONFIG.defaultLanguage]: { title: annotation.title, description: annotation.description }
+    };
+    setPendingAnnotationLanguage(state.language);
+    document.getElementById('annotation-category').value = annotation.category;
+    state.pendingAnnotationImages = [...annotation.images];
+    state.pendingAnnotationViewpoint = annotation.viewpoint;
+    updateViewpointStatus();
+    document.getElementById('annotation-instruction').textContent = annotation.region
+        ? 'Draw a new area on the model, or keep the current one'
+        : 'Click on the model to move the marker, or keep its current position';
+    
+    // Start from the existing point so saving without re-picking keeps it
+    state.pendingAnnotationPosition = annotation.position.clone();
+    state.pendingAnnotationNormal = annotation.normal.clone();
+    state.pendingAnnotationAnchor = annotation.anchor;
+    state.pendingAnnotationRegion = annotation.region;
+    showPlacedMarker(annotation.position, annotation.normal, annotation.region);
+    document.getElementById('btn-save-annotation').disabled = false;
+    document.getElementById('annotation-title').focus();
+}
+
+function captureViewpoint() {
+    state.pendingAnnotationViewpoint = {
+        position: state.camera.position.clone(),
+        target: state.controls.target.clone(),
+        fov: state.camera.fov
+    };
+    updateViewpointStatus();
+}
+
+function clearViewpoint() {
+    state.pendingAnnotationViewpoint = null;
+    updateViewpointStatus();
+}
+
+function updateViewpointStatus() {
+    const hasViewpoint = Boolean(state.pendingAnnotationViewpoint);
+    const statusEl = document.getElementById('viewpoint-status');
+    
+    statusEl.textContent = hasViewpoint ? '✓ Custom view saved' : 'Default view';
+    statusEl.classList.toggle('captured', hasViewpoint);
+    document.getElementById('btn-clear-viewpoint').disabled = !hasViewpoint;
+}
+
+function updatePreviewMarker(point, normal) {
+    if (state.previewMarker && point) {
+        placeOnSurface(state.previewMarker, point, normal, 0.09); // Lift above surface (1.5x scale)
+        state.previewMarker.visible = true;
+    }
+}
+
+function setAnnotationPosition(point, normal = SURFACE_UP, region = null, anchor = null) {
+    state.pendingAnnotationPosition = point.clone();
+    state.pendingAnnotationNormal = normal.clone();
+    state.pendingAnnotationAnchor = anchor;
+    state.pendingAnnotationRegion = region;
+    document.getElementById('btn-save-annotation').disabled = false;
+    document.getElementById('annotation-instruction').textContent = region
+        ? '✓ Area selected! Now enter details below.'
+        : '✓ Point selected! Now enter details below.';
+    document.getElementById('annotation-instruction').style.color = '#4CAF50';
+    document.getElementById('annotation-title').focus();
+    
+    // Hide the hover preview marker
+    if (state.previewMarker) {
+        state.previewMarker.visible = false;
+    }
+    
+    showPlacedMarker(point, normal, region);
+}
+
+function showPlacedMarker(point, normal, region = null) {
+    // Create/update the placed marker (shows where annotation will be)
+    if (state.placedMarker) {
+        state.scene.remove(state.placedMarker);
+    }
+    
+    if (region) {
+        state.placedMarker = createRegionOverlay(region, 0x00ff00);
+        state.placedMarker.add(createPlacedMarker(point, normal));
+    } else {
+        state.placedMarker = createPlacedMarker(point, normal);
+    }
+    state.scene.add(state.placedMarker);
+}
+
+function createPlacedMarker(position, normal = SURFACE_UP) {
+    // Create a pulsing marker to show where annotation is placed
+    const group = new THREE.Group();
+    
+    // Main sphere - bright green
+    const sphereGeometry = new THREE.SphereGeometry(0.04, 32, 32);
+    const sphereMaterial = new THREE.MeshBasicMaterial({ 
+        color: 0x00ff00,
+        transparent: true,
+        opacity: 1.0
+    });
+    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+    group.add(sphere);
+    
+    // Outer ring - white
+    const ringGeometry = new THREE.RingGeometry(0.055, 0.07, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({ 
+        color: 0xffffff, 
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 1.0
+    });
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    group.add(ring);
+    
+    // Second outer ring - green glow effect
+    const outerRingGeometry = new THREE.RingGeometry(0.08, 0.1, 32);
+    const outerRingMaterial = new THREE.MeshBasicMaterial({ 
+        color: 0x00ff00, 
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.5
+    });
+    const outerRing = new THREE.Mesh(outerRingGeometry, outerRingMaterial);
+    group.add(outerRing);
+    
+    // Pin/line going to surface
+    const pinGeometry = new THREE.CylinderGeometry(0.006, 0.006, 0.08, 8);
+    const pinMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
+    pin.position.y = -0.04;
+    group.add(pin);
+    
+    // Position above surface, along its normal
+    placeOnSurface(group, position, normal, 0.1);
+    
+    group.userData = { isPlaced: true };
+    
+    return group;
+}
+
+function saveAnnotation() {
+    stashPendingAnnotationContent();
+    const content = state.pendingAnnotationContent;
+    const edited = content[state.pendingAnnotationLanguage];
+    const category = document.getElementById('annotation-category').value;
+    
+    if (!state.pendingAnnotationPosition) return;
+    
+    // The default language always needs a title; borrow the text just written.
+    // A blank translation is fine, it falls back to the default language.
+    const base = content[CONFIG.defaultLanguage] && content[CONFIG.defaultLanguage].title
+        ? content[CONFIG.defaultLanguage]
+        : edited;
+    if (!base.title) {
+        alert(`Please enter a title in ${CONFIG.languages[CONFIG.defaultLanguage]}.`);
+        setPendingAnnotationLanguage(CONFIG.defaultLanguage);
+        document.getElementById('annotation-title').focus();
+        return;
+    }
+    const title = base.title;
+    const description = base.description;
+    const translations = {};
+    Object.entries(content).forEach(([language, text]) => {
+        if (language !== CONFIG.defaultLanguage && (text.title || text.description)) {
+            translations[language] = text;
+        }
+    });
+    
+    recordHistory(state.editingAnnotationIndex !== null ? 'Edit annotation' : 'Add annotation');
+    
+    // Drop images whose references were removed from every language's text
+    const allText = Object.values(content).map(text => text.description).join('\n');
+    const images = state.pendingAnnotationImages.filter(image => allText.includes(`image:${image.id}`));
+    
+    if (state.editingAnnotationIndex !== null) {
+        const annotation = state.annotations[state.editingAnnotationIndex];
+        annotation.title = title;
+        annotation.description = description || 'No description provided.';
+        annotation.translations = translations;
+        annotation.category = category;
+        annotation.images = images;
+        annotation.viewpoint = state.pendingAnnotationViewpoint;
+        annotation.region = state.pendingAnnotationRegion;
+        annotation.position = state.pendingAnnotationPosition.clone();
+        annotation.normal = state.pendingAnnotationNormal.clone();
+        annotation.anchor = state.pendingAnnotationAnchor;
+        
+        // Keep the info panel in sync if it is showing the edited annotation
+        if (state.tourIndex === state.editingAnnotationIndex) {
+            showAnnotationInfo(annotation);
+        }
+    } else {
+        const newAnnotation = {
+            id: state.annotations.length + 1,
+            uid: createUid('annotation'),
+            title,
+            description: description || 'No description provided.',
+            translations,
+            category,
+            images,
+            comments: [],
+            viewpoint: state.pendingAnnotationViewpoint,
+            region: state.pendingAnnotationRegion,
+            position: state.pendingAnnotationPosition.clone(),
+            normal: state.pendingAnnotationNormal.clone(),
+            anchor: state.pendingAnnotationAnchor
+        };
+        
+        state.annotations.push(newAnnotation);
+    }
+    
+    // Make sure a new annotation is not saved straight into a hidden layer
+    if (state.hiddenCategories.delete(category)) {
+        updateLayerPanel();
+    }
+    
+    // Remove the placed marker before creating the permanent one
+    if (state.placedMarker) {
+        state.scene.remove(state.placedMarker);
+        state.placedMarker = null;
+    }
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    update3DAnnotationMarkers();
+    updateTourProgress();
+    scheduleAnnotationSave();
+    
+    toggleAddAnnotationMode();
+}
+
+function cancelAnnotation() {
+    toggleAddAnnotationMode();
+}
+
+// ============================================
+// REGION ANNOTATIONS
+// ============================================
+// A region is an outline of surface points drawn as a polygon or lasso. Its
+// overlay is built from the model's own triangles that fall inside the
+// outline when projected along the direction it was drawn from, so the
+// highlight follows the relief instead of floating on a flat shape.
+const regionGeometryCache = new Map();
+
+const SHAPE_INSTRUCTIONS = {
+    point: 'Click on the model to place your marker',
+    polygon: 'Click on the model to add corners, then click the first corner or Finish Shape',
+    lasso: 'Hold the mouse button and draw around the area'
+};
+
+function setAnnotationShape(shape) {
+    state.annotationShape = shape;
+    discardRegionDraft();
+    
+    document.querySelectorAll('.shape-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.shape === shape);
+    });
+    document.getElementById('btn-finish-shape').classList.toggle('hidden', shape !== 'polygon');
+    document.getElementById('annotation-instruction').textContent = SHAPE_INSTRUCTIONS[shape];
+    document.getElementById('annotation-instruction').style.color = '';
+    
+    // A selection made with another shape no longer applies
+    state.pendingAnnotationPosition = null;
+    state.pendingAnnotationRegion = null;
+    document.getElementById('btn-save-annotation').disabled = true;
+    if (state.placedMarker) {
+        state.scene.remove(state.placedMarker);
+        state.placedMarker = null;
+    }
+    if (state.previewMarker) {
+        state.previewMarker.visible = false;
+    }
+}
+
+function discardRegionDraft() {
+    if (state.regionDraft) {
+        state.scene.remove(state.regionDraft.preview);
+        state.regionDraft = null;
+    }
+    document.getElementById('btn-finish-shape').disabled = true;
+}
+
+function startRegionDraft(mode) {
+    discardRegionDraft();
+    state.regionDraft = { mode, points: [], preview: new THREE.Group(), isDrawing: false };
+    state.scene.add(state.regionDraft.preview);
+}
+
+function updateRegionDraftPreview(hoverPoint = null) {
+    const draft = state.regionDraft;
+    if (!draft) return;
+    
+    draft.preview.clear();
+    
+    const linePoints = hoverPoint ? [...draft.points, hoverPoint] : draft.points;
+    if (linePoints.length > 1) {
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints(linePoints);
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x00ff00, depthTest: false });
+        draft.preview.add(new THREE.Line(lineGeometry, lineMaterial));
+    }
+    
+    // Corner handles for polygons (a lasso has too many points to mark)
+    if (draft.mode === 'polygon') {
+        draft.points.forEach((point, i) => {
+            const geometry = new THREE.SphereGeometry(i === 0 ? 0.02 : 0.012, 12, 12);
+            const material = new THREE.MeshBasicMaterial({ color: i === 0 ? 0xffffff : 0x00ff00, depthTest: false });
+            const handle = new THREE.Mesh(geometry, material);
+            handle.position.copy(point);
+            draft.preview.add(handle);
+        });
+    }
+}
+
+function getScreenDistanceToPointer(point) {
+    const rect = state.renderer.domElement.getBoundingClientRect();
+    const projected = point.clone().project(state.camera);
+    const dx = (projected.x - state.mouse.x) * rect.width / 2;
+    const dy = (projected.y - state.mouse.y) * rect.height / 2;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+function addPolygonVertex(point) {
+    if (!state.regionDraft) startRegionDraft('polygon');
+    const draft = state.regionDraft;
+    
+    // Clicking back on the first corner closes the shape
+    if (draft.points.length >= 3 && getScreenDistanceToPointer(draft.points[0]) < CONFIG.polygonCloseDistance) {
+        finishRegionDraft();
+        return;
+    }
+    
+    draft.points.push(point.clone());
+    document.getElementById('btn-finish-shape').disabled = draft.points.length < 3;
+    updateRegionDraftPreview();
+}
+
+function startLasso(point) {
+    startRegionDraft('lasso');
+    state.regionDraft.isDrawing = true;
+    state.regionDraft.points.push(point.clone());
+    state.controls.enabled = false;
+}
+
+function extendLasso(point) {
+    const points = state.regionDraft.points;
+    if (point.distanceTo(points[points.length - 1]) < CONFIG.lassoSpacing) return;
+    
+    points.push(point.clone());
+    updateRegionDraftPreview(points[0]);
+}
+
+function endLasso() {
+    state.controls.enabled = true;
+    state.suppressNextClick = true;
+    
+    if (state.regionDraft.points.length < 3) {
+        discardRegionDraft();
+        return;
+    }
+    finishRegionDraft();
+}
+
+function finishRegionDraft() {
+    const draft = state.regionDraft;
+    if (!draft || draft.points.length < 3) return;
+    
+    // Project along the direction the author was looking when drawing
+    const direction = state.controls.target.clone().sub(state.camera.position).normalize();
+    const region = { mode: draft.mode, points: draft.points, direction };
+    
+    discardRegionDraft();
+    const anchor = getRegionAnchor(region);
+    setAnnotationPosition(anchor.point, anchor.normal, region, anchor.anchor);
+}
+
+function computeRegionDirection(points) {
+    // Newell's method gives a stable normal for any simple polygon
+    const normal = new THREE.Vector3();
+    points.forEach((current, i) => {
+        const next = points[(i + 1) % points.length];
+        normal.x += (current.y - next.y) * (current.z + next.z);
+        normal.y += (current.z - next.z) * (current.x + next.x);
+        normal.z += (current.x - next.x) * (current.y + next.y);
+    });
+    normal.normalize();
     
-    // Outer ring for visibility
-    const ringGeometry = new THREE.RingGeometry(0.045 * scale, 0.06 * scale, 32);
-    const ringMaterial = new THREE.MeshBasicMaterial({ 
-        color: isPreview ? 0x00ff00 : 0xffffff, 
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.9
+    // Point into the model, which is centered on the vertical axis
+    const centroid = getRegionCentroid(points);
+    const inward = new THREE.Vector3(0, centroid.y, 0).sub(centroid);
+    if (normal.dot(inward) < 0) normal.negate();
+    
+    return normal;
+}
+
+function getRegionCentroid(points) {
+    return points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length);
+}
+
+function getRegionAnchor(region) {
+    // Drop the outline's centroid onto the surface so the label sits on the stone
+    const centroid = getRegionCentroid(region.points);
+    const size = state.modelBoundingBox.getSize(new THREE.Vector3());
+    const reach = Math.max(size.x, size.y, size.z);
+    const origin = centroid.clone().addScaledVector(region.direction, -reach);
+    const raycaster = new THREE.Raycaster(origin, region.direction.clone().normalize());
+    const intersects = raycaster.intersectObject(state.model, true);
+    
+    if (intersects.length > 0) {
+        return {
+            point: intersects[0].point,
+            normal: getHitNormal(intersects[0], raycaster.ray.direction),
+            anchor: createSurfaceAnchor(intersects[0])
+        };
+    }
+    
+    // Fall back to the outline point nearest the centroid, facing the author
+    const nearest = region.points.reduce((closest, point) =>
+        point.distanceTo(centroid) < closest.distanceTo(centroid) ? point : closest
+    );
+    return { point: nearest.clone(), normal: region.direction.clone().normalize().negate(), anchor: null };
+}
+
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function getRegionProjection(region) {
+    const direction = region.direction.clone().normalize();
+    const helper = Math.abs(direction.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    const u = new THREE.Vector3().crossVectors(helper, direction).normalize();
+    const v = new THREE.Vector3().crossVectors(direction, u);
+    
+    // Outline in the projection plane, plus the depth range it spans
+    const polygon = region.points.map(point => [point.dot(u), point.dot(v)]);
+    const xs = polygon.map(([x]) => x);
+    const ys = polygon.map(([, y]) => y);
+    const depths = region.points.map(point => point.dot(direction));
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    
+    // Allow some relief depth beyond the outline, but not the far side of the block
+    const margin = Math.max(maxX - minX, maxY - minY) * 0.25;
+    
+    return {
+        direction, u, v, polygon, minX, maxX, minY, maxY,
+        minDepth: Math.min(...depths) - margin,
+        maxDepth: Math.max(...depths) + margin
+    };
+}
+
+// Zero inside the region; outside, the distance to the nearest point of the
+// outline across the projection plane plus any overshoot of the depth range
+function getDistanceToRegion(point, region) {
+    const { direction, u, v, polygon, minDepth, maxDepth } = getRegionProjection(region);
+    const depth = point.dot(direction);
+    const depthExcess = Math.max(0, minDepth - depth, depth - maxDepth);
+    
+    const x = point.dot(u);
+    const y = point.dot(v);
+    if (isPointInPolygon(x, y, polygon)) return depthExcess;
+    
+    const projected = new THREE.Vector3(x, y, 0);
+    const edge = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    const planar = Math.min(...polygon.map(([x1, y1], i) => {
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        edge.start.set(x1, y1, 0);
+        edge.end.set(x2, y2, 0);
+        return edge.closestPointToPoint(projected, true, closest).distanceTo(projected);
+    }));
+    return Math.hypot(planar, depthExcess);
+}
+
+function buildRegionGeometry(region) {
+    const { direction, u, v, polygon, minX, maxX, minY, maxY, minDepth, maxDepth } = getRegionProjection(region);
+    
+    const positions = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const centroid = new THREE.Vector3();
+    
+    state.model.updateMatrixWorld(true);
+    state.model.traverse((child) => {
+        if (!child.isMesh) return;
+        
+        const position = child.geometry.attributes.position;
+        const index = child.geometry.index;
+        const count = index ? index.count : position.count;
+        
+        for (let i = 0; i < count; i += 3) {
+            a.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+            b.fromBufferAttribute(position, index ? index.getX(i + 1) : i + 1).applyMatrix4(child.matrixWorld);
+            c.fromBufferAttribute(position, index ? index.getX(i + 2) : i + 2).applyMatrix4(child.matrixWorld);
+            centroid.copy(a).add(b).add(c).divideScalar(3);
+            
+            const x = centroid.dot(u);
+            const y = centroid.dot(v);
+            const depth = centroid.dot(direction);
+            if (x < minX || x > maxX || y < minY || y > maxY) continue;
+            if (depth < minDepth || depth > maxDepth) continue;
+            if (!isPointInPolygon(x, y, polygon)) continue;
+            
+            positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+        }
     });
-    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    ring.lookAt(state.camera.position);
-    group.add(ring);
     
-    // Pin/line going to surface
-    const pinGeometry = new THREE.CylinderGeometry(0.005 * scale, 0.005 * scale, 0.06 * scale, 8);
-    const pinMaterial = new THREE.MeshBasicMaterial({ color: isPreview ? 0x00ff00 : 0xffffff });
-    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
-    pin.position.y = -0.03 * scale;
-    group.add(pin);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+}
+
+// Undo, import and storage loads all rebuild region objects, so the cache is
+// keyed by the outline itself. Rounding absorbs model-space round trips.
+function getRegionCacheKey(region) {
+    return [...region.points, region.direction]
+        .map(vector => vector.toArray().map(n => n.toFixed(5)).join(','))
+        .join(';');
+}
+
+function getRegionGeometry(region) {
+    // Building the overlay walks every triangle, so reuse it across redraws
+    const key = getRegionCacheKey(region);
+    if (!regionGeometryCache.has(key)) {
+        regionGeometryCache.set(key, buildRegionGeometry(region));
+    }
+    return regionGeometryCache.get(key);
+}
+
+function createRegionOverlay(region, color) {
+    const group = new THREE.Group();
     
-    // Position slightly above the surface
-    group.position.copy(position);
-    group.position.y += 0.06 * scale; // Lift above surface
+    // Translucent fill on the surface triangles
+    const fillMaterial = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.35,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -4,
+        polygonOffsetUnits: -4
+    });
+    group.add(new THREE.Mesh(getRegionGeometry(region), fillMaterial));
     
-    group.userData = { index, isPreview };
+    // Outline, nudged toward the viewer so it is not hidden by the surface
+    const lifted = region.points.map(point => point.clone().addScaledVector(region.direction, -0.005));
+    const outlineGeometry = new THREE.BufferGeometry().setFromPoints(lifted);
+    const outlineMaterial = new THREE.LineBasicMaterial({ color });
+    group.add(new THREE.LineLoop(outlineGeometry, outlineMaterial));
     
     return group;
 }
 
-function update3DAnnotationMarkers() {
-    // Remove old markers
-    state.annotationMarkers.forEach(marker => state.scene.remove(marker));
-    state.annotationMarkers = [];
+function serializeRegion(region, isModelSpace) {
+    return {
+        mode: region.mode,
+        points: region.points.map(point => toModelSpace(point, isModelSpace).toArray()),
+        direction: toModelSpace(region.direction, isModelSpace, true).toArray()
+    };
+}
+
+function deserializeRegion(data, isModelSpace) {
+    const points = data.points.map(point => fromModelSpace(point, isModelSpace));
+    return {
+        mode: data.mode,
+        points,
+        direction: data.direction ? fromModelSpace(data.direction, isModelSpace, true) : computeRegionDirection(points)
+    };
+}
+
+function isValidRegion(region) {
+    return Boolean(region) &&
+        ['polygon', 'lasso'].includes(region.mode) &&
+        Array.isArray(region.points) &&
+        region.points.length >= 3 &&
+        region.points.every(isValidVector) &&
+        (region.direction === undefined || isValidVector(region.direction));
+}
+
+// ============================================
+// MODEL-SPACE ANCHORING
+// ============================================
+// onModelLoaded() re-centers the model, so world coordinates depend on the
+// centering logic. Annotations are therefore saved relative to the model and
+// anchored to the triangle they were placed on (mesh path, face index and
+// barycentric coordinates), then resolved back to world space after load.
+function toModelSpace(vector, isModelSpace, isDirection = false) {
+    if (!isModelSpace) return vector.clone();
     
-    // Create new markers for each annotation
-    state.annotations.forEach((annotation, index) => {
-        const marker = createAnnotationMarker(annotation.position, index);
-        state.scene.add(marker);
-        state.annotationMarkers.push(marker);
+    if (isDirection) {
+        const inverse = state.model.matrixWorld.clone().invert();
+        return vector.clone().transformDirection(inverse);
+    }
+    return state.model.worldToLocal(vector.clone());
+}
+
+function fromModelSpace(array, isModelSpace, isDirection = false) {
+    const vector = new THREE.Vector3().fromArray(array);
+    
+    // Model-space data read before the model exists cannot be placed yet; keep it as-is
+    if (!isModelSpace || !state.model) return vector;
+    
+    return isDirection ? vector.transformDirection(state.model.matrixWorld) : state.model.localToWorld(vector);
+}
+
+function getMeshPath(object) {
+    const path = [];
+    for (let current = object; current && current !== state.model; current = current.parent) {
+        path.unshift(current.parent.children.indexOf(current));
+    }
+    return path.join('/');
+}
+
+function getMeshByPath(path) {
+    if (!path) return null;
+    return path.split('/').reduce((object, i) => object && object.children[Number(i)], state.model);
+}
+
+function getTriangleVertices(mesh, face) {
+    const position = mesh.geometry.attributes.position;
+    const index = mesh.geometry.index;
+    const triangleCount = (index ? index.count : position.count) / 3;
+    if (face < 0 || face >= triangleCount) return null;
+    
+    return [0, 1, 2].map(corner => {
+        const vertex = face * 3 + corner;
+        return new THREE.Vector3()
+            .fromBufferAttribute(position, index ? index.getX(vertex) : vertex)
+            .applyMatrix4(mesh.matrixWorld);
     });
 }
 
-function toggleAddAnnotationMode() {
-    state.isAddingAnnotation = !state.isAddingAnnotation;
+function createSurfaceAnchor(intersect) {
+    const mesh = intersect.object;
+    if (!mesh.isMesh || intersect.faceIndex === undefined || intersect.faceIndex === null) return null;
     
-    document.getElementById('btn-add-annotation').classList.toggle('active', state.isAddingAnnotation);
-    document.getElementById('annotation-modal').classList.toggle('hidden', !state.isAddingAnnotation);
+    const vertices = getTriangleVertices(mesh, intersect.faceIndex);
+    if (!vertices) return null;
     
-    if (state.isAddingAnnotation) {
-        state.renderer.domElement.style.cursor = 'crosshair';
-        state.pendingAnnotationPosition = null;
-        document.getElementById('btn-save-annotation').disabled = true;
-        document.getElementById('annotation-title').value = '';
-        document.getElementById('annotation-description').value = '';
-        document.getElementById('annotation-instruction').textContent = 'Click on the model to place your marker';
-        document.getElementById('annotation-instruction').style.color = '';
-        
-        // Create preview marker (hidden initially)
-        if (state.previewMarker) {
-            state.scene.remove(state.previewMarker);
-        }
-        state.previewMarker = createAnnotationMarker(new THREE.Vector3(0, -1000, 0), -1, true);
-        state.previewMarker.visible = false;
-        state.scene.add(state.previewMarker);
-    } else {
-        state.renderer.domElement.style.cursor = 'grab';
-        // Remove preview marker
-        if (state.previewMarker) {
-            state.scene.remove(state.previewMarker);
-            state.previewMarker = null;
-        }
-        // Remove placed marker
-        if (state.placedMarker) {
-            state.scene.remove(state.placedMarker);
-            state.placedMarker = null;
+    const barycentric = THREE.Triangle.getBarycoord(intersect.point, ...vertices, new THREE.Vector3());
+    
+    return {
+        mesh: getMeshPath(mesh),
+        meshName: mesh.name,
+        face: intersect.faceIndex,
+        barycentric: barycentric.toArray()
+    };
+}
+
+function resolveSurfaceAnchor(anchor) {
+    if (!state.model) return null;
+    
+    // A renamed or missing mesh means the model changed, so the anchor is stale
+    const mesh = getMeshByPath(anchor.mesh);
+    if (!mesh || !mesh.isMesh || mesh.name !== anchor.meshName) return null;
+    
+    const vertices = getTriangleVertices(mesh, anchor.face);
+    if (!vertices) return null;
+    
+    const [u, v, w] = anchor.barycentric;
+    const point = new THREE.Vector3()
+        .addScaledVector(vertices[0], u)
+        .addScaledVector(vertices[1], v)
+        .addScaledVector(vertices[2], w);
+    const normal = new THREE.Triangle(...vertices).getNormal(new THREE.Vector3());
+    
+    return { point, normal };
+}
+
+function isValidSurfaceAnchor(anchor) {
+    return Boolean(anchor) &&
+        typeof anchor.mesh === 'string' &&
+        typeof anchor.meshName === 'string' &&
+        Number.isInteger(anchor.face) &&
+        isValidVector(anchor.barycentric);
+}
+
+// ============================================
+// DISCUSSION COMMENTS
+// ============================================
+function deserializeComment(data) {
+    return {
+        id: data.id,
+        author: sanitizeAnnotationText(data.author, CONFIG.maxAuthorLength) || 'Anonymous',
+        text: sanitizeAnnotationText(data.text, CONFIG.maxCommentLength),
+        createdAt: data.createdAt
+    };
+}
+
+// New comments take the highest id plus one, so imported comments with a
+// missing, non-numeric or repeated id are given a fresh one
+function deserializeComments(comments) {
+    const usedIds = new Set();
+    let nextId = comments.reduce((max, comment) => (Number.isInteger(comment.id) ? Math.max(max, comment.id) : max), 0) + 1;
+    
+    return comments.map(data => {
+        const comment = deserializeComment(data);
+        if (!Number.isInteger(comment.id) || comment.id < 1 || usedIds.has(comment.id)) {
+            comment.id = nextId++;
         }
+        usedIds.add(comment.id);
+        return comment;
+    });
+}
+
+function isValidComment(comment) {
+    return Boolean(comment) &&
+        typeof comment.author === 'string' &&
+        typeof comment.text === 'string' &&
+        typeof comment.createdAt === 'string' &&
+        !Number.isNaN(Date.parse(comment.createdAt));
+}
+
+function renderAnnotationComments(annotation) {
+    const list = document.getElementById('comment-list');
+    document.getElementById('comment-count').textContent = `(${annotation.comments.length})`;
+    list.innerHTML = '';
+    
+    // Built with textContent so comment text can never become markup
+    annotation.comments.forEach((comment, i) => {
+        const item = document.createElement('li');
+        item.className = 'comment';
+        
+        const header = document.createElement('div');
+        header.className = 'comment-header';
+        
+        const author = document.createElement('span');
+        author.className = 'comment-author';
+        author.textContent = comment.author;
+        
+        const time = document.createElement('time');
+        time.className = 'comment-time';
+        time.dateTime = comment.createdAt;
+        time.textContent = new Date(comment.createdAt).toLocaleString();
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'comment-delete';
+        deleteBtn.title = 'Delete comment';
+        deleteBtn.textContent = '×';
+        deleteBtn.addEventListener('click', () => deleteComment(state.tourIndex, i));
+        
+        const text = document.createElement('p');
+        text.className = 'comment-text';
+        text.textContent = comment.text;
+        
+        header.append(author, time, deleteBtn);
+        item.append(header, text);
+        list.appendChild(item);
+    });
+}
+
+function addComment() {
+    const annotation = state.annotations[state.tourIndex];
+    const authorInput = document.getElementById('comment-author');
+    const textInput = document.getElementById('comment-text');
+    const author = sanitizeAnnotationText(authorInput.value, CONFIG.maxAuthorLength);
+    const text = sanitizeAnnotationText(textInput.value, CONFIG.maxCommentLength);
+    
+    if (!annotation || !text) return;
+    if (!author) {
+        authorInput.focus();
+        return;
     }
+    
+    saveAuthorName(author);
+    
+    recordHistory('Add comment');
+    annotation.comments.push({
+        id: annotation.comments.reduce((max, comment) => Math.max(max, comment.id), 0) + 1,
+        author,
+        text,
+        createdAt: new Date().toISOString()
+    });
+    textInput.value = '';
+    
+    renderAnnotationComments(annotation);
+    updateAnnotationList();
+    scheduleAnnotationSave();
+}
+
+function deleteComment(annotationIndex, commentIndex) {
+    const annotation = state.annotations[annotationIndex];
+    if (!annotation || !annotation.comments[commentIndex]) return;
+    
+    recordHistory('Delete comment');
+    annotation.comments.splice(commentIndex, 1);
+    
+    renderAnnotationComments(annotation);
+    updateAnnotationList();
+    scheduleAnnotationSave();
+}
+
+// Remember the name so students don't retype it for every reply or quiz
+function saveAuthorName(name) {
+    document.getElementById('comment-author').value = name;
+    try {
+        localStorage.setItem(CONFIG.authorStorageKey, name);
+    } catch (error) {
+        console.error('Error saving author name:', error);
+    }
+}
+
+function loadCommentAuthor() {
+    try {
+        document.getElementById('comment-author').value = localStorage.getItem(CONFIG.authorStorageKey) || '';
+    } catch (error) {
+        console.error('Error loading author name:', error);
+    }
+}
+
+// ============================================
+// ANNOTATION STORAGE
+// ============================================
+function getStorageKey() {
+    // Saved sets are kept per model so switching models never mixes annotations
+    return CONFIG.storageKeyPrefix + CONFIG.modelPath;
+}
+
+// Saved coordinates are in model space (see MODEL-SPACE ANCHORING) whenever
+// the model is loaded; "modelSpace" marks this so older world-space data
+// still loads as before.
+function serializeAnnotation(annotation) {
+    const isModelSpace = Boolean(state.model);
+    
+    return {
+        id: annotation.id,
+        uid: annotation.uid,
+        title: annotation.title,
+        description: annotation.description,
+        translations: annotation.translations,
+        category: annotation.category,
+        images: annotation.images,
+        comments: annotation.comments.map(comment => ({ ...comment })),
+        viewpoint: annotation.viewpoint ? serializeViewpoint(annotation.viewpoint, isModelSpace) : null,
+        region: annotation.region ? serializeRegion(annotation.region, isModelSpace) : null,
+        modelSpace: isModelSpace,
+        anchor: annotation.anchor,
+        position: toModelSpace(annotation.position, isModelSpace).toArray(),
+        normal: toModelSpace(annotation.normal, isModelSpace, true).toArray()
+    };
+}
+
+function serializeViewpoint(viewpoint, isModelSpace) {
+    return {
+        position: toModelSpace(viewpoint.position, isModelSpace).toArray(),
+        target: toModelSpace(viewpoint.target, isModelSpace).toArray(),
+        fov: viewpoint.fov
+    };
+}
+
+function deserializeViewpoint(data, isModelSpace) {
+    return {
+        position: fromModelSpace(data.position, isModelSpace),
+        target: fromModelSpace(data.target, isModelSpace),
+        fov: data.fov
+    };
+}
+
+function deserializeAnnotation(data, index) {
+    const isModelSpace = Boolean(data.modelSpace);
+    const annotation = {
+        id: data.id,
+        uid: deserializeUid(data.uid, `annotation-${index + 1}`),
+        title: sanitizeAnnotationText(data.title, CONFIG.maxTitleLength),
+        description: sanitizeAnnotationText(data.description, CONFIG.maxDescriptionLength),
+        translations: deserializeTranslations(data.translations),
+        category: CONFIG.annotationCategories[data.category] ? data.category : CONFIG.defaultCategory,
+        images: (data.images || []).filter(isValidAnnotationImage),
+        comments: deserializeComments(data.comments || []),
+        viewpoint: data.viewpoint ? deserializeViewpoint(data.viewpoint, isModelSpace) : null,
+        region: data.region ? deserializeRegion(data.region, isModelSpace) : null,
+        anchor: isValidSurfaceAnchor(data.anchor) ? data.anchor : null,
+        normal: data.normal ? fromModelSpace(data.normal, isModelSpace, true).normalize() : SURFACE_UP.clone(),
+        position: fromModelSpace(data.position, isModelSpace)
+    };
+    
+    // The mesh anchor wins over stored coordinates when it still resolves
+    const resolved = annotation.anchor && resolveSurfaceAnchor(annotation.anchor);
+    if (resolved) {
+        annotation.position = resolved.point;
+        annotation.normal = resolved.normal.dot(annotation.normal) < 0 ? resolved.normal.negate() : resolved.normal;
+    }
+    
+    return annotation;
+}
+
+function getTourStorageKey() {
+    return CONFIG.tourStorageKeyPrefix + CONFIG.modelPath;
+}
+
+function loadSavedTours(annotations) {
+    try {
+        const saved = localStorage.getItem(getTourStorageKey());
+        if (!saved) return [];
+        
+        const tours = JSON.parse(saved);
+        validateTours(tours);
+        return tours.map((tour, i) => deserializeTour(tour, annotations, i));
+    } catch (error) {
+        console.error('Error loading saved tours:', error);
+        return [];
+    }
+}
+
+function loadSavedAnnotations() {
+    try {
+        const saved = localStorage.getItem(getStorageKey());
+        if (!saved) return [...DEFAULT_ANNOTATIONS];
+        
+        return JSON.parse(saved).map(deserializeAnnotation);
+    } catch (error) {
+        console.error('Error loading saved annotations:', error);
+        return [...DEFAULT_ANNOTATIONS];
+    }
+}
+
+function saveAnnotationsToStorage() {
+    state.saveTimer = null;
+    
+    try {
+        localStorage.setItem(getStorageKey(), JSON.stringify(state.annotations.map(serializeAnnotation)));
+        localStorage.setItem(getTourStorageKey(), JSON.stringify(state.tours.map(serializeTour)));
+        setSaveStatus('saved');
+    } catch (error) {
+        // Storage can be full or disabled (e.g. private browsing)
+        console.error('Error saving annotations:', error);
+        setSaveStatus('error');
+    }
+}
+
+function scheduleAnnotationSave() {
+    setSaveStatus('unsaved');
+    
+    // Debounce so a burst of edits results in a single write
+    clearTimeout(state.saveTimer);
+    state.saveTimer = setTimeout(saveAnnotationsToStorage, CONFIG.autoSaveDelay);
+}
+
+function setSaveStatus(status) {
+    const statusEl = document.getElementById('annotation-save-status');
+    const labels = {
+        saved: '✓ Saved',
+        unsaved: '● Unsaved',
+        error: '⚠ Not saved'
+    };
+    
+    statusEl.textContent = labels[status];
+    statusEl.className = `save-status ${status}`;
+}
+
+function clearSavedAnnotations() {
+    if (!confirm('Delete all saved annotations and tours for this model? This cannot be undone.')) return;
+    
+    clearTimeout(state.saveTimer);
+    state.saveTimer = null;
+    
+    try {
+        localStorage.removeItem(getStorageKey());
+        localStorage.removeItem(getTourStorageKey());
+    } catch (error) {
+        console.error('Error clearing saved annotations:', error);
+    }
+    
+    // The saved set is gone for good, so earlier history cannot bring it back
+    clearHistory();
+    if (state.isTourActive) endTour();
+    if (state.isEditingTourStop) closeTourStopModal();
+    state.annotations = [];
+    state.tours = [];
+    state.selectedTourIndex = -1;
+    state.tourIndex = -1;
+    updateTourPanel();
+    document.getElementById('info-panel').classList.add('hidden');
+    
+    updateAnnotationList();
+    updateAnnotationLabels();
+    update3DAnnotationMarkers();
+    updateTourProgress();
+    setSaveStatus('saved');
 }
 
-function updatePreviewMarker(point) {
-    if (state.previewMarker && point) {
-        state.previewMarker.position.copy(point);
-        state.previewMarker.position.y += 0.05;
-        state.previewMarker.visible = true;
+// ============================================
+// ANNOTATION IMPORT / EXPORT
+// ============================================
+function exportAnnotations() {
+    if (state.annotations.length === 0 && state.tours.length === 0) {
+        alert('There are no annotations to export yet.');
+        return;
     }
+    
+    const data = {
+        schemaVersion: CONFIG.annotationSchemaVersion,
+        model: CONFIG.modelPath,
+        exportedAt: new Date().toISOString(),
+        annotations: state.annotations.map(serializeAnnotation),
+        tours: state.tours.map(serializeTour)
+    };
+    
+    downloadJSON(data, `parthenon-cavalcade-annotations-${Date.now()}.json`, 'application/json');
 }
 
-function setAnnotationPosition(point) {
-    state.pendingAnnotationPosition = point.clone();
-    document.getElementById('btn-save-annotation').disabled = false;
-    document.getElementById('annotation-instruction').textContent = '✓ Point selected! Now enter details below.';
-    document.getElementById('annotation-instruction').style.color = '#4CAF50';
-    document.getElementById('annotation-title').focus();
-    
-    // Hide the hover preview marker
-    if (state.previewMarker) {
-        state.previewMarker.visible = false;
+function exportWebAnnotations() {
+    if (state.annotations.length === 0) {
+        alert('There are no annotations to export yet.');
+        return;
     }
     
-    // Create/update the placed marker (shows where annotation will be)
-    if (state.placedMarker) {
-        state.scene.remove(state.placedMarker);
-    }
-    state.placedMarker = createPlacedMarker(point);
-    state.scene.add(state.placedMarker);
+    downloadJSON(
+        annotationsToWebAnnotationCollection(state.annotations),
+        `parthenon-cavalcade-annotations-${Date.now()}.jsonld`,
+        'application/ld+json'
+    );
 }
 
-function createPlacedMarker(position) {
-    // Create a pulsing marker to show where annotation is placed
-    const group = new THREE.Group();
+function downloadJSON(data, filename, type) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function validateAnnotationSet(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.annotations)) {
+        throw new Error('The file does not contain an annotation set.');
+    }
+    // Version 1 files predate model-space coordinates and load as world space
+    if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1 || data.schemaVersion > CONFIG.annotationSchemaVersion) {
+        throw new Error(`Unsupported annotation file version: ${data.schemaVersion}`);
+    }
     
-    // Main sphere - bright green
-    const sphereGeometry = new THREE.SphereGeometry(0.04, 32, 32);
-    const sphereMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 1.0
+    data.annotations.forEach((annotation, i) => {
+        if (!annotation || typeof annotation !== 'object') {
+            throw new Error(`Annotation ${i + 1} is not a valid annotation.`);
+        }
+        
+        const hasPosition = isValidVector(annotation.position);
+        const viewpoint = annotation.viewpoint;
+        const hasValidViewpoint = !viewpoint || isValidViewpoint(viewpoint);
+        
+        if (typeof annotation.title !== 'string' || !annotation.title.trim()) {
+            throw new Error(`Annotation ${i + 1} is missing a title.`);
+        }
+        if (typeof annotation.description !== 'string') {
+            throw new Error(`Annotation ${i + 1} has an invalid description.`);
+        }
+        if (!hasPosition) {
+            throw new Error(`Annotation ${i + 1} has an invalid position.`);
+        }
+        if (annotation.normal !== undefined && (!isValidVector(annotation.normal) || annotation.normal.every(n => n === 0))) {
+            throw new Error(`Annotation ${i + 1} has an invalid surface normal.`);
+        }
+        if (!hasValidViewpoint) {
+            throw new Error(`Annotation ${i + 1} has an invalid camera viewpoint.`);
+        }
+        if (annotation.category !== undefined && !CONFIG.annotationCategories[annotation.category]) {
+            throw new Error(`Annotation ${i + 1} has an unknown category: ${annotation.category}`);
+        }
+        if (annotation.anchor && !isValidSurfaceAnchor(annotation.anchor)) {
+            throw new Error(`Annotation ${i + 1} has an invalid surface anchor.`);
+        }
+        if (annotation.region && !isValidRegion(annotation.region)) {
+            throw new Error(`Annotation ${i + 1} has an invalid region outline.`);
+        }
+        if (annotation.translations !== undefined && !isValidTranslations(annotation.translations)) {
+            throw new Error(`Annotation ${i + 1} has invalid translations.`);
+        }
+        if (annotation.comments !== undefined && !(Array.isArray(annotation.comments) && annotation.comments.every(isValidComment))) {
+            throw new Error(`Annotation ${i + 1} has invalid discussion comments.`);
+        }
+        if (annotation.images !== undefined && !(Array.isArray(annotation.images) && annotation.images.every(isValidAnnotationImage))) {
+            throw new Error(`Annotation ${i + 1} has invalid embedded images.`);
+        }
     });
-    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-    group.add(sphere);
     
-    // Outer ring - white
-    const ringGeometry = new THREE.RingGeometry(0.055, 0.07, 32);
-    const ringMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xffffff, 
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 1.0
-    });
-    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-    group.add(ring);
+    if (data.tours !== undefined) {
+        validateTours(data.tours);
+    }
+}
+
+function isValidViewpoint(viewpoint) {
+    return isValidVector(viewpoint.position) &&
+        isValidVector(viewpoint.target) &&
+        Number.isFinite(viewpoint.fov) && viewpoint.fov > 0 && viewpoint.fov < 180;
+}
+
+function isValidVector(value) {
+    return Array.isArray(value) &&
+        value.length === 3 &&
+        value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+function importAnnotations(file) {
+    // Model-space coordinates would be taken as world space without the model
+    if (!state.model) {
+        alert('Please wait for the model to finish loading before importing annotations.');
+        return;
+    }
     
-    // Second outer ring - green glow effect
-    const outerRingGeometry = new THREE.RingGeometry(0.08, 0.1, 32);
-    const outerRingMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0x00ff00, 
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.5
-    });
-    const outerRing = new THREE.Mesh(outerRingGeometry, outerRingMaterial);
-    group.add(outerRing);
+    const reader = new FileReader();
     
-    // Pin/line going to surface
-    const pinGeometry = new THREE.CylinderGeometry(0.006, 0.006, 0.08, 8);
-    const pinMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-    const pin = new THREE.Mesh(pinGeometry, pinMaterial);
-    pin.position.y = -0.04;
-    group.add(pin);
+    reader.onload = () => {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+            if (isWebAnnotationDocument(data)) {
+                data = webAnnotationDocumentToSet(data);
+            }
+            validateAnnotationSet(data);
+        } catch (error) {
+            alert(`Could not import annotations: ${error.message}`);
+            return;
+        }
+        
+        if (data.model !== CONFIG.modelPath &&
+            !confirm('This annotation set was made for a different model. Import it anyway?')) {
+            return;
+        }
+        if (state.annotations.length > 0 &&
+            !confirm(`Replace the ${state.annotations.length} current annotation(s) with ${data.annotations.length} imported one(s)?`)) {
+            return;
+        }
+        
+        recordHistory('Import annotations');
+        if (state.isTourActive) endTour();
+        state.tourIndex = -1;
+        document.getElementById('info-panel').classList.add('hidden');
+        
+        // Tours refer to the file's ids, so resolve them before renumbering
+        const annotations = data.annotations.map(deserializeAnnotation);
+        makeUidsUnique(annotations, 'annotation');
+        if (data.tours) {
+            if (state.isEditingTourStop) closeTourStopModal();
+            state.tours = data.tours.map((tour, i) => deserializeTour(tour, annotations, i));
+            makeUidsUnique(state.tours, 'tour');
+            state.selectedTourIndex = -1;
+        }
+        
+        // Ids follow list order, so renumber rather than trusting the file
+        annotations.forEach((annotation, i) => {
+            annotation.id = i + 1;
+        });
+        state.annotations = annotations;
+        
+        updateTourPanel();
+        
+        updateAnnotationList();
+        updateAnnotationLabels();
+        update3DAnnotationMarkers();
+        updateTourProgress();
+        scheduleAnnotationSave();
+    };
     
-    // Position above surface
-    group.position.copy(position);
-    group.position.y += 0.1;
+    reader.onerror = () => {
+        alert('Could not read the selected file.');
+    };
     
-    group.userData = { isPlaced: true };
+    reader.readAsText(file);
+}
+
+// ============================================
+// W3C WEB ANNOTATION (JSON-LD) INTERCHANGE
+// ============================================
+// The Web Annotation Data Model has no standard 3D selector, so points use
+// the PointSelector (x, y, z) proposed by the IIIF 3D community group.
+// Selector coordinates are in the glTF's own space, like the native format,
+// and say so with "coordinateSpace"; selectors without it are read as
+// world space, as older exports wrote them.
+const WEB_ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+
+function getModelURL() {
+    return new URL(CONFIG.modelPath, window.location.href).href;
+}
+
+function annotationToWebAnnotation(annotation) {
+    const modelURL = getModelURL();
+    const isModelSpace = Boolean(state.model);
+    const coordinateSpace = isModelSpace ? 'model' : 'world';
+    const [x, y, z] = toModelSpace(annotation.position, isModelSpace).toArray();
+    const pointSelector = { type: 'PointSelector', x, y, z, coordinateSpace };
     
-    return group;
+    return {
+        id: getWebAnnotationId(annotation),
+        type: 'Annotation',
+        motivation: 'describing',
+        label: annotation.title,
+        body: [
+            ...getAnnotationLanguages(annotation).flatMap(language => {
+                // Only text actually written in a language is tagged with it,
+                // not the default-language fallback
+                const text = language === CONFIG.defaultLanguage ? annotation : annotation.translations[language];
+                return [
+                    text.title && {
+                        type: 'TextualBody',
+                        purpose: 'identifying',
+                        value: text.title,
+                        format: 'text/plain',
+                        language
+                    },
+                    text.description && {
+                        type: 'TextualBody',
+                        purpose: 'describing',
+                        // Embedded images are inlined so the body stands on its own
+                        value: inlineAnnotationImages(text.description, annotation.images),
+                        format: 'text/markdown',
+                        language
+                    }
+                ].filter(Boolean);
+            }),
+            {
+                type: 'TextualBody',
+                purpose: 'classifying',
+                value: annotation.category
+            }
+        ],
+        target: {
+            type: 'SpecificResource',
+            source: { id: modelURL, type: 'Model', format: 'model/gltf-binary' },
+            selector: annotation.region
+                ? [pointSelector, regionToPolygonZSelector(annotation.region, isModelSpace)]
+                : pointSelector
+        }
+    };
 }
 
-function saveAnnotation() {
-    const title = document.getElementById('annotation-title').value.trim();
-    const description = document.getElementById('annotation-description').value.trim();
+function regionToPolygonZSelector(region, isModelSpace) {
+    // WKT rings repeat the first point to close the shape
+    const ring = [...region.points, region.points[0]].map(point => toModelSpace(point, isModelSpace).toArray().join(' '));
+    return {
+        type: 'PolygonZSelector',
+        value: `POLYGON Z ((${ring.join(', ')}))`,
+        coordinateSpace: isModelSpace ? 'model' : 'world'
+    };
+}
+
+function polygonZSelectorToRegion(selector) {
+    const match = typeof selector.value === 'string' && selector.value.match(/\(\(([^()]*)\)\)/);
+    if (!match) return null;
     
-    if (!title || !state.pendingAnnotationPosition) return;
+    const points = match[1].split(',').map(coords => coords.trim().split(/\s+/).map(Number));
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && first.every((n, i) => n === last[i])) points.pop();
     
-    const newAnnotation = {
-        id: state.annotations.length + 1,
-        title,
-        description: description || 'No description provided.',
-        position: state.pendingAnnotationPosition.clone()
+    return { mode: 'polygon', points };
+}
+
+function annotationsToWebAnnotationCollection(annotations) {
+    return {
+        '@context': WEB_ANNOTATION_CONTEXT,
+        id: `${getModelURL()}#annotations`,
+        type: 'AnnotationCollection',
+        label: 'Parthenon Cavalcade Viewer annotations',
+        total: annotations.length,
+        first: {
+            type: 'AnnotationPage',
+            startIndex: 0,
+            // Discussion comments follow their annotation as "replying" annotations
+            items: annotations.flatMap(annotation => [
+                annotationToWebAnnotation(annotation),
+                ...annotation.comments.map(comment => commentToWebAnnotation(comment, annotation))
+            ])
+        }
+    };
+}
+
+// The fragment is the annotation's uid, so ids survive reordering and deep
+// links keep working for sets shared as JSON-LD
+function getWebAnnotationId(annotation) {
+    return `${getModelURL()}#${annotation.uid}`;
+}
+
+function commentToWebAnnotation(comment, annotation) {
+    return {
+        id: `${getWebAnnotationId(annotation)}-comment-${comment.id}`,
+        type: 'Annotation',
+        motivation: 'replying',
+        creator: { type: 'Person', name: comment.author },
+        created: comment.createdAt,
+        body: { type: 'TextualBody', value: comment.text, format: 'text/plain' },
+        target: getWebAnnotationId(annotation)
     };
+}
+
+function webAnnotationToComment(item, i) {
+    const body = [].concat(item.body || []).find(b => b && b.type === 'TextualBody');
+    const creator = item.creator && (typeof item.creator === 'string' ? item.creator : item.creator.name);
     
-    state.annotations.push(newAnnotation);
+    return {
+        id: i + 1,
+        author: creator || 'Anonymous',
+        text: (body && body.value) || '',
+        createdAt: item.created || new Date(0).toISOString()
+    };
+}
+
+function isWebAnnotationDocument(data) {
+    return Boolean(data) && ['Annotation', 'AnnotationPage', 'AnnotationCollection'].includes(data.type);
+}
+
+function getWebAnnotationItems(data) {
+    switch (data.type) {
+        case 'Annotation':
+            return [data];
+        case 'AnnotationPage':
+            return data.items || [];
+        case 'AnnotationCollection':
+            // Only embedded pages can be read; referenced pages would need fetching
+            return (data.first && data.first.items) || [];
+        default:
+            return [];
+    }
+}
+
+// Bodies without a language tag count as the default language
+function findTextualBody(bodies, purpose, language = CONFIG.defaultLanguage) {
+    return bodies.find(body => body && body.type === 'TextualBody' && body.purpose === purpose &&
+        (body.language || CONFIG.defaultLanguage) === language);
+}
+
+function webAnnotationToSerialized(item, i) {
+    if (!item || item.type !== 'Annotation') {
+        throw new Error(`Item ${i + 1} is not a Web Annotation.`);
+    }
     
-    // Remove the placed marker before creating the permanent one
-    if (state.placedMarker) {
-        state.scene.remove(state.placedMarker);
-        state.placedMarker = null;
+    const targets = [].concat(item.target || []);
+    const target = targets.find(t => t && t.selector);
+    const selectors = target ? [].concat(target.selector) : [];
+    const selector = selectors.find(sel => sel && sel.type === 'PointSelector');
+    const polygonSelector = selectors.find(sel => sel && sel.type === 'PolygonZSelector');
+    if (!selector) {
+        throw new Error(`Annotation ${i + 1} has no 3D PointSelector target.`);
     }
     
-    updateAnnotationList();
-    updateAnnotationLabels();
-    update3DAnnotationMarkers();
-    updateTourProgress();
+    const bodies = [].concat(item.body || []);
+    const titleBody = findTextualBody(bodies, 'identifying');
+    const categoryBody = findTextualBody(bodies, 'classifying');
+    const descriptionBody = findTextualBody(bodies, 'describing') ||
+        bodies.find(body => body && body.type === 'TextualBody' && body !== titleBody && body !== categoryBody);
+    const source = typeof target.source === 'string' ? target.source : target.source && target.source.id;
+    const translations = {};
+    Object.keys(CONFIG.languages).forEach(language => {
+        const translatedTitle = findTextualBody(bodies, 'identifying', language);
+        const translatedDescription = findTextualBody(bodies, 'describing', language);
+        if (language !== CONFIG.defaultLanguage && (translatedTitle || translatedDescription)) {
+            translations[language] = {
+                title: (translatedTitle && translatedTitle.value) || '',
+                description: (translatedDescription && translatedDescription.value) || ''
+            };
+        }
+    });
     
-    toggleAddAnnotationMode();
+    // Our own exports carry the uid as the id's fragment
+    const fragment = typeof item.id === 'string' && item.id.includes('#') ? item.id.slice(item.id.lastIndexOf('#') + 1) : undefined;
+    
+    return {
+        id: i + 1,
+        uid: fragment,
+        title: (titleBody && titleBody.value) || item.label || `Annotation ${i + 1}`,
+        description: (descriptionBody && descriptionBody.value) || '',
+        translations,
+        // Unknown categories from other tools fall back to the default
+        category: categoryBody && CONFIG.annotationCategories[categoryBody.value] ? categoryBody.value : undefined,
+        position: [selector.x, selector.y, selector.z],
+        region: polygonSelector ? polygonZSelectorToRegion(polygonSelector) : null,
+        // Both selectors are written in the same space, so the point's marker covers the outline
+        modelSpace: selector.coordinateSpace === 'model',
+        source
+    };
 }
 
-function cancelAnnotation() {
-    toggleAddAnnotationMode();
+function webAnnotationDocumentToSet(data) {
+    const items = getWebAnnotationItems(data);
+    const isReply = item => item && item.motivation === 'replying';
+    const annotationItems = items.filter(item => !isReply(item));
+    const annotations = annotationItems.map(webAnnotationToSerialized);
+    
+    // Attach replies to the annotation they target; replies to other resources are dropped
+    annotations.forEach((annotation, i) => {
+        const targetId = annotationItems[i].id;
+        annotation.comments = items
+            .filter(item => isReply(item) && [].concat(item.target).some(t => t === targetId || (t && t.id === targetId)))
+            .map(webAnnotationToComment);
+    });
+    
+    const sources = annotations.map(annotation => annotation.source).filter(Boolean);
+    const targetsThisModel = sources.every(source => source === getModelURL());
+    
+    return {
+        schemaVersion: CONFIG.annotationSchemaVersion,
+        model: targetsThisModel ? CONFIG.modelPath : sources[0],
+        annotations
+    };
 }
 
 // ============================================
@@ -763,7 +4358,7 @@ function resetView() {
     const newPosition = new THREE.Vector3(0, size.y * 0.5, maxDim * 2);
     const newTarget = new THREE.Vector3(0, size.y * 0.3, 0);
     
-    animateCamera(newPosition, newTarget);
+    animateCamera(newPosition, newTarget, 1000, CONFIG.cameraFOV);
 }
 
 function takeScreenshot() {
@@ -833,26 +4428,66 @@ function getMousePosition(event) {
     state.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 }
 
+function getHitNormal(intersect, rayDirection = state.raycaster.ray.direction) {
+    if (!intersect.face) return SURFACE_UP.clone();
+    
+    const normal = intersect.face.normal.clone().transformDirection(intersect.object.matrixWorld);
+    
+    // Materials are double-sided, so make sure the normal faces the viewer
+    if (normal.dot(rayDirection) > 0) normal.negate();
+    
+    return normal;
+}
+
+function placeOnSurface(object, point, normal, lift) {
+    object.position.copy(point).addScaledVector(normal, lift);
+    object.quaternion.setFromUnitVectors(SURFACE_UP, normal);
+}
+
+function getMarkerIndexUnderPointer() {
+    if (state.isMeasuring || state.isAddingAnnotation || state.annotationMarkers.length === 0) return -1;
+    
+    // The raycaster does not skip hidden objects, so leave hidden layers out
+    const pickable = [...state.annotationMarkers, ...state.regionOverlays].filter(object => object.visible);
+    // Region outlines are lines, which the raycaster hits from a whole world
+    // unit away, so regions are picked by their fill only
+    const markerIntersects = state.raycaster.intersectObjects(pickable, true).filter(hit => !hit.object.isLine);
+    if (markerIntersects.length === 0) return -1;
+    
+    // Find the parent group to get the index
+    let obj = markerIntersects[0].object;
+    while (obj.parent && obj.userData.index === undefined) {
+        obj = obj.parent;
+    }
+    if (obj.userData.index === undefined || obj.userData.isPreview) return -1;
+    
+    return obj.userData.index;
+}
+
 function onCanvasClick(event) {
     if (!state.model) return;
     
+    // A marker drag ends with a click event that should not select anything
+    if (state.suppressNextClick) {
+        state.suppressNextClick = false;
+        return;
+    }
+    
     getMousePosition(event);
     state.raycaster.setFromCamera(state.mouse, state.camera);
     
+    // A quiz in progress takes every click on the model as an answer
+    if (state.quiz) {
+        const hits = state.raycaster.intersectObject(state.model, true);
+        if (hits.length > 0) answerQuizHotspot(hits[0].point);
+        return;
+    }
+    
     // First check if clicking on an annotation marker
-    if (!state.isMeasuring && !state.isAddingAnnotation && state.annotationMarkers.length > 0) {
-        const markerIntersects = state.raycaster.intersectObjects(state.annotationMarkers, true);
-        if (markerIntersects.length > 0) {
-            // Find the parent group to get the index
-            let obj = markerIntersects[0].object;
-            while (obj.parent && obj.userData.index === undefined) {
-                obj = obj.parent;
-            }
-            if (obj.userData.index !== undefined && !obj.userData.isPreview) {
-                focusAnnotation(obj.userData.index);
-                return;
-            }
-        }
+    const markerIndex = getMarkerIndexUnderPointer();
+    if (markerIndex !== -1) {
+        focusAnnotation(markerIndex);
+        return;
     }
     
     // Then check model intersection
@@ -863,25 +4498,124 @@ function onCanvasClick(event) {
         
         if (state.isMeasuring && state.measurePoints.length < 2) {
             addMeasurePoint(point);
-        } else if (state.isAddingAnnotation) {
-            setAnnotationPosition(point);
+        } else if (state.isAddingAnnotation && state.annotationShape === 'point') {
+            setAnnotationPosition(point, getHitNormal(intersects[0]), null, createSurfaceAnchor(intersects[0]));
+        } else if (state.isAddingAnnotation && state.annotationShape === 'polygon') {
+            addPolygonVertex(point);
+        }
+    }
+}
+
+function onCanvasPointerDown(event) {
+    if (!state.model || event.button !== 0) return;
+    
+    // A drag that ended off the canvas never produced its click, so the
+    // suppression it left behind must not swallow this one
+    state.suppressNextClick = false;
+    
+    getMousePosition(event);
+    state.raycaster.setFromCamera(state.mouse, state.camera);
+    
+    // In lasso mode a press on the model starts drawing instead of orbiting
+    if (state.isAddingAnnotation && state.annotationShape === 'lasso') {
+        const intersects = state.raycaster.intersectObject(state.model, true);
+        if (intersects.length > 0) {
+            startLasso(intersects[0].point);
+            state.renderer.domElement.setPointerCapture(event.pointerId);
         }
+        return;
+    }
+    
+    // Regions are redrawn through the editor rather than dragged
+    const markerIndex = getMarkerIndexUnderPointer();
+    if (markerIndex === -1 || state.annotations[markerIndex].region) return;
+    
+    // Grabbing a marker moves the marker instead of orbiting the camera
+    state.controls.enabled = false;
+    state.markerDrag = { index: markerIndex, position: null, startX: event.clientX, startY: event.clientY, isMoving: false };
+    state.renderer.domElement.style.cursor = 'grabbing';
+    // Keep receiving moves when a touch or mouse drag leaves the canvas
+    state.renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+function dragMarker() {
+    const intersects = state.raycaster.intersectObject(state.model, true);
+    if (intersects.length === 0) return;
+    
+    // Keep the marker snapped to the mesh surface under the pointer
+    const point = intersects[0].point;
+    const normal = getHitNormal(intersects[0]);
+    const marker = state.annotationMarkers[state.markerDrag.index];
+    placeOnSurface(marker, point, normal, 0.06); // Lift above surface
+    state.markerDrag.position = point.clone();
+    state.markerDrag.normal = normal;
+    state.markerDrag.anchor = createSurfaceAnchor(intersects[0]);
+}
+
+function onPointerUp() {
+    if (state.regionDraft && state.regionDraft.isDrawing) {
+        endLasso();
+        return;
     }
+    
+    const drag = state.markerDrag;
+    if (!drag) return;
+    
+    state.markerDrag = null;
+    state.controls.enabled = true;
+    state.renderer.domElement.style.cursor = 'grab';
+    
+    // A press without movement is left to the click handler (focus)
+    if (!drag.position) return;
+    
+    state.suppressNextClick = true;
+    recordHistory('Move annotation');
+    state.annotations[drag.index].position = drag.position;
+    state.annotations[drag.index].normal = drag.normal;
+    state.annotations[drag.index].anchor = drag.anchor;
+    
+    update3DAnnotationMarkers();
+    scheduleAnnotationSave();
 }
 
-function onCanvasMouseMove(event) {
+function onCanvasPointerMove(event) {
     if (!state.model) return;
+    
+    if (state.markerDrag) {
+        // Small jitter during a click must not move the marker
+        const drag = state.markerDrag;
+        if (!drag.isMoving) {
+            const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+            if (distance < CONFIG.markerDragThreshold) return;
+            drag.isMoving = true;
+        }
+        
+        getMousePosition(event);
+        state.raycaster.setFromCamera(state.mouse, state.camera);
+        dragMarker();
+        return;
+    }
+    
     if (!state.isAddingAnnotation) return;
     
     getMousePosition(event);
     state.raycaster.setFromCamera(state.mouse, state.camera);
     const intersects = state.raycaster.intersectObject(state.model, true);
     
+    // Region shapes show their outline in progress instead of the pin preview
+    if (state.annotationShape !== 'point') {
+        if (intersects.length > 0 && state.regionDraft) {
+            if (state.regionDraft.isDrawing) {
+                extendLasso(intersects[0].point);
+            } else {
+                updateRegionDraftPreview(intersects[0].point);
+            }
+        }
+        return;
+    }
+    
     if (intersects.length > 0 && state.previewMarker) {
-        const point = intersects[0].point;
-        state.previewMarker.position.copy(point);
-        state.previewMarker.position.y += 0.09; // Lift above surface (1.5x scale)
-        state.previewMarker.visible = true;
+        updatePreviewMarker(intersects[0].point, getHitNormal(intersects[0]));
     } else if (state.previewMarker) {
         state.previewMarker.visible = false;
     }
@@ -896,7 +4630,9 @@ function setupEventListeners() {
     
     // Canvas interaction
     state.renderer.domElement.addEventListener('click', onCanvasClick);
-    state.renderer.domElement.addEventListener('mousemove', onCanvasMouseMove);
+    state.renderer.domElement.addEventListener('pointermove', onCanvasPointerMove);
+    state.renderer.domElement.addEventListener('pointerdown', onCanvasPointerDown);
+    window.addEventListener('pointerup', onPointerUp);
     
     // View controls
     document.getElementById('btn-auto-rotate').addEventListener('click', toggleAutoRotate);
@@ -906,6 +4642,10 @@ function setupEventListeners() {
     document.getElementById('btn-add-annotation').addEventListener('click', toggleAddAnnotationMode);
     document.getElementById('btn-screenshot').addEventListener('click', takeScreenshot);
     document.getElementById('btn-fullscreen').addEventListener('click', toggleFullscreen);
+    document.getElementById('btn-copy-link').addEventListener('click', copyViewLink);
+    window.addEventListener('hashchange', restoreViewFromHash);
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
     
     // Tour controls
     document.getElementById('btn-tour-start').addEventListener('click', () => {
@@ -917,6 +4657,53 @@ function setupEventListeners() {
     });
     document.getElementById('btn-tour-prev').addEventListener('click', prevTourStop);
     document.getElementById('btn-tour-next').addEventListener('click', nextTourStop);
+    document.getElementById('btn-tour-play').addEventListener('click', toggleTourPlayback);
+    
+    // Authored tours
+    document.getElementById('tour-select').addEventListener('change', (e) => selectTour(Number(e.target.value)));
+    document.getElementById('btn-new-tour').addEventListener('click', createTour);
+    document.getElementById('btn-rename-tour').addEventListener('click', renameTour);
+    document.getElementById('btn-delete-tour').addEventListener('click', deleteTour);
+    document.getElementById('btn-add-tour-stop').addEventListener('click', () => openTourStopModal());
+    document.getElementById('btn-capture-stop-viewpoint').addEventListener('click', captureTourStopViewpoint);
+    document.getElementById('btn-cancel-tour-stop').addEventListener('click', closeTourStopModal);
+    document.getElementById('btn-save-tour-stop').addEventListener('click', saveTourStop);
+    document.getElementById('btn-choose-stop-audio').addEventListener('click', () => {
+        document.getElementById('tour-stop-audio-input').click();
+    });
+    document.getElementById('tour-stop-audio-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) attachTourStopAudio(file);
+        e.target.value = '';
+    });
+    
+    // Quiz mode
+    document.getElementById('btn-quiz-start').addEventListener('click', startQuiz);
+    document.getElementById('btn-quiz-next').addEventListener('click', nextQuizQuestion);
+    document.getElementById('btn-quiz-quit').addEventListener('click', endQuiz);
+    document.getElementById('btn-quiz-close').addEventListener('click', endQuiz);
+    document.getElementById('btn-quiz-export').addEventListener('click', exportQuizResults);
+    
+    // Tour narration
+    document.getElementById('btn-narration-mute').addEventListener('click', toggleNarrationMute);
+    document.getElementById('narration-voice').addEventListener('change', (e) => setNarrationVoice(e.target.value));
+    document.getElementById('narration-rate').addEventListener('input', (e) => setNarrationRate(e.target.value));
+    
+    // Languages
+    document.getElementById('language-select').addEventListener('change', (e) => {
+        setLanguage(e.target.value);
+    });
+    document.getElementById('annotation-language').addEventListener('change', (e) => {
+        stashPendingAnnotationContent();
+        setPendingAnnotationLanguage(e.target.value);
+    });
+    
+    // Discussion comments
+    loadCommentAuthor();
+    document.getElementById('comment-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addComment();
+    });
     
     // Info panel
     document.getElementById('info-close').addEventListener('click', () => {
@@ -926,15 +4713,67 @@ function setupEventListeners() {
     // Annotation modal
     document.getElementById('btn-cancel-annotation').addEventListener('click', cancelAnnotation);
     document.getElementById('btn-save-annotation').addEventListener('click', saveAnnotation);
+    document.querySelectorAll('.shape-btn').forEach(btn => {
+        btn.addEventListener('click', () => setAnnotationShape(btn.dataset.shape));
+    });
+    document.getElementById('btn-finish-shape').addEventListener('click', finishRegionDraft);
+    document.getElementById('btn-capture-viewpoint').addEventListener('click', captureViewpoint);
+    document.getElementById('btn-clear-viewpoint').addEventListener('click', clearViewpoint);
+    document.getElementById('btn-insert-image').addEventListener('click', () => {
+        document.getElementById('annotation-image-input').click();
+    });
+    document.getElementById('annotation-image-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) insertAnnotationImage(file);
+        e.target.value = '';
+    });
+    
+    // Annotation storage
+    document.getElementById('btn-clear-saved').addEventListener('click', clearSavedAnnotations);
+    
+    // Annotation search
+    document.getElementById('annotation-search').addEventListener('input', (e) => setSearchQuery(e.target.value));
+    document.getElementById('annotation-search').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            clearSearch();
+        }
+    });
+    document.getElementById('btn-clear-search').addEventListener('click', clearSearch);
+    document.getElementById('btn-export-annotations').addEventListener('click', exportAnnotations);
+    document.getElementById('btn-export-web-annotations').addEventListener('click', exportWebAnnotations);
+    document.getElementById('btn-import-annotations').addEventListener('click', () => {
+        document.getElementById('annotation-import-input').click();
+    });
+    document.getElementById('annotation-import-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) importAnnotations(file);
+        // Reset so choosing the same file again still fires a change event
+        e.target.value = '';
+    });
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Leave typing (and the browser's own text undo) alone inside form fields
+        const isTyping = e.target.matches('input, textarea, select');
+        
         switch(e.key) {
+            case 'z':
+            case 'Z':
+                if ((e.ctrlKey || e.metaKey) && !isTyping) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        redo();
+                    } else {
+                        undo();
+                    }
+                }
+                break;
             case 'r':
-                toggleAutoRotate();
+                if (!isTyping) toggleAutoRotate();
                 break;
             case 'f':
-                toggleFullscreen();
+                if (!isTyping) toggleFullscreen();
                 break;
             case 's':
                 if (e.ctrlKey) {
@@ -944,13 +4783,15 @@ function setupEventListeners() {
                 break;
             case 'Escape':
                 if (state.isAddingAnnotation) cancelAnnotation();
+                if (state.isEditingTourStop) closeTourStopModal();
+                if (state.quiz) endQuiz();
                 if (state.isTourActive) endTour();
                 break;
             case 'ArrowRight':
-                if (state.isTourActive) nextTourStop();
+                if (state.isTourActive && !isTyping) nextTourStop();
                 break;
             case 'ArrowLeft':
-                if (state.isTourActive) prevTourStop();
+                if (state.isTourActive && !isTyping) prevTourStop();
                 break;
         }
     });
@@ -967,6 +4808,7 @@ function animate() {
     
     // Update annotation label positions (2D overlay)
     updateAnnotationPositions();
+    updateLabelOcclusion();
     
     // Make 3D annotation markers face the camera (billboard effect)
     state.annotationMarkers.forEach(marker => {